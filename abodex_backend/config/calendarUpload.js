@@ -0,0 +1,21 @@
+const multer = require("multer");
+
+const fileFilter = (req, file, cb) => {
+  if (
+    file.mimetype === "text/calendar" ||
+    file.originalname.toLowerCase().endsWith(".ics")
+  ) {
+    cb(null, true);
+  } else {
+    cb(new Error("Invalid file type, only .ics calendars are allowed!"), false);
+  }
+};
+
+// .ics uploads are parsed straight away, so they stay in memory
+const calendarUpload = multer({
+  fileFilter,
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+});
+
+module.exports = calendarUpload;
@@ -0,0 +1,55 @@
+// Currency the platform accounts in: the exchange rate table, the ledger,
+// host payouts and promo code amounts are all in it
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "USD").toUpperCase();
+
+// Currencies Stripe charges in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = [
+  "BIF",
+  "CLP",
+  "DJF",
+  "GNF",
+  "JPY",
+  "KMF",
+  "KRW",
+  "MGA",
+  "PYG",
+  "RWF",
+  "UGX",
+  "VND",
+  "VUV",
+  "XAF",
+  "XOF",
+  "XPF",
+];
+
+// The smallest charge Stripe accepts in each settlement currency it lists.
+// Other currencies need the equivalent of the base currency's minimum, which
+// must be listed here.
+const MIN_CHARGE_AMOUNTS = {
+  AED: 2,
+  AUD: 0.5,
+  BGN: 1,
+  BRL: 0.5,
+  CAD: 0.5,
+  CHF: 0.5,
+  CZK: 15,
+  DKK: 2.5,
+  EUR: 0.5,
+  GBP: 0.3,
+  HKD: 4,
+  HUF: 175,
+  INR: 0.5,
+  JPY: 50,
+  MXN: 10,
+  MYR: 2,
+  NOK: 3,
+  NZD: 0.5,
+  PLN: 2,
+  RON: 2,
+  SEK: 3,
+  SGD: 0.5,
+  THB: 10,
+  USD: 0.5,
+};
+
+module.exports = { BASE_CURRENCY, ZERO_DECIMAL_CURRENCIES, MIN_CHARGE_AMOUNTS };
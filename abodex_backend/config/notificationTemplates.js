@@ -0,0 +1,445 @@
+// Notification events and how each channel renders them. Renderers receive
+// the event data and the recipient user. Mandatory events (account security
+// and verification) ignore the user's preferences.
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL}${path}`;
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDate = (date) => new Date(date).toDateString();
+
+const formatMoney = (amount, currency = "USD") =>
+  new Intl.NumberFormat("en-US", { style: "currency", currency }).format(
+    amount || 0
+  );
+
+const layout = (heading, content) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>${heading}</h2>
+        ${content}
+      </div>
+    `;
+
+const button = (url, label) =>
+  `<a href="${url}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">${label}</a>`;
+
+const HOST_VERIFICATION_MESSAGES = {
+  submitted:
+    "We have received your host application and will review it shortly.",
+  under_review: "Your host application is now being reviewed by our team.",
+  needs_more_info:
+    "We need more information to verify your host application. Please review the note below and resubmit your documents.",
+  rejected: "Unfortunately we could not approve your host application.",
+  approved:
+    "Your host application has been approved. Your listings are now visible to guests.",
+};
+
+const NOTIFICATION_EVENTS = {
+  email_verification: {
+    mandatory: true,
+    email: ({ token }, user) => {
+      const verificationUrl = frontendUrl(`/verify-email?token=${token}`);
+      return {
+        subject: "Verify your AbodeX account",
+        html: layout(
+          `Welcome to AbodeX, ${escapeHtml(user.firstName)}!`,
+          `<p>Thank you for registering. Please verify your email address to complete your registration.</p>
+        ${button(verificationUrl, "Verify Email")}
+        <p>If the button doesn't work, copy and paste this link into your browser:</p>
+        <p>${verificationUrl}</p>`
+        ),
+      };
+    },
+  },
+
+  password_reset: {
+    mandatory: true,
+    email: ({ token }, user) => ({
+      subject: "Reset your AbodeX password",
+      html: layout(
+        "Password Reset Request",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>We received a request to reset your password. Click the button below to proceed.</p>
+        ${button(
+          frontendUrl(`/reset-password?token=${token}`),
+          "Reset Password"
+        )}
+        <p>If you didn't request a password reset, please ignore this email.</p>
+        <p>This link will expire in 1 hour.</p>`
+      ),
+    }),
+  },
+
+  account_locked: {
+    mandatory: true,
+    email: ({ lockedUntil }, user) => ({
+      subject: "Your AbodeX account has been temporarily locked",
+      html: layout(
+        "Account Temporarily Locked",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>We noticed several failed sign-in attempts on your account, so we have locked it until ${new Date(
+          lockedUntil
+        ).toUTCString()}.</p>
+        <p>If this was you, you can try again after that time. If it wasn't, we recommend resetting your password.</p>
+        ${button(frontendUrl("/forgot-password"), "Reset Password")}`
+      ),
+    }),
+  },
+
+  host_verification_updated: {
+    mandatory: true,
+    email: ({ status, note }, user) => ({
+      subject: "Update on your AbodeX host application",
+      html: layout(
+        "Host Application Update",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>${HOST_VERIFICATION_MESSAGES[status]}</p>
+        ${
+          note
+            ? `<p><strong>Reviewer note:</strong> ${escapeHtml(note)}</p>`
+            : ""
+        }`
+      ),
+    }),
+    inApp: ({ status, note }) => ({
+      title: "Host application update",
+      body: note
+        ? `${HOST_VERIFICATION_MESSAGES[status]} Note: ${note}`
+        : HOST_VERIFICATION_MESSAGES[status],
+    }),
+  },
+
+  booking_confirmed: {
+    email: (
+      { propertyTitle, checkIn, checkOut, totalAmount, currency },
+      user
+    ) => ({
+      subject: `Your stay at ${propertyTitle} is confirmed`,
+      html: layout(
+        "Booking Confirmed",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>Your booking at ${escapeHtml(propertyTitle)} is confirmed.</p>
+        <p>Check-in: ${formatDate(checkIn)}<br>Check-out: ${formatDate(
+          checkOut
+        )}<br>Total: ${formatMoney(totalAmount, currency)}</p>`
+      ),
+    }),
+    sms: ({ propertyTitle, checkIn, checkOut, totalAmount, currency }) =>
+      `Your booking at ${propertyTitle} is confirmed. Check-in: ${formatDate(
+        checkIn
+      )}, Check-out: ${formatDate(checkOut)}. Total: ${formatMoney(
+        totalAmount,
+        currency
+      )}.`,
+    inApp: ({ propertyTitle, checkIn }) => ({
+      title: "Booking confirmed",
+      body: `Your stay at ${propertyTitle} on ${formatDate(
+        checkIn
+      )} is confirmed.`,
+    }),
+  },
+
+  check_in_reminder: {
+    email: ({ propertyTitle, checkIn }, user) => ({
+      subject: `Your stay at ${propertyTitle} starts tomorrow`,
+      html: layout(
+        "Check-in Reminder",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>Your stay at ${escapeHtml(propertyTitle)} starts on ${formatDate(
+          checkIn
+        )}. Check-in time is after 3 PM.</p>`
+      ),
+    }),
+    sms: ({ propertyTitle }) =>
+      `Reminder: Your stay at ${propertyTitle} starts tomorrow. Check-in time is after 3 PM.`,
+    inApp: ({ propertyTitle, checkIn }) => ({
+      title: "Check-in tomorrow",
+      body: `Your stay at ${propertyTitle} starts on ${formatDate(checkIn)}.`,
+    }),
+  },
+
+  booking_received: {
+    email: ({ propertyTitle, checkIn, checkOut, guestName }, user) => ({
+      subject: `New booking for ${propertyTitle}`,
+      html: layout(
+        "New Booking",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>${escapeHtml(guestName)} booked ${escapeHtml(
+          propertyTitle
+        )} from ${formatDate(checkIn)} to ${formatDate(checkOut)}.</p>`
+      ),
+    }),
+    sms: ({ propertyTitle, checkIn }) =>
+      `New booking for ${propertyTitle} starting ${formatDate(checkIn)}.`,
+    inApp: ({ propertyTitle, checkIn, guestName }) => ({
+      title: "New booking",
+      body: `${guestName} booked ${propertyTitle} from ${formatDate(checkIn)}.`,
+    }),
+  },
+
+  booking_cancelled: {
+    email: (
+      { propertyTitle, checkIn, refundAmount, currency, reason },
+      user
+    ) => ({
+      subject: `Your booking at ${propertyTitle} was cancelled`,
+      html: layout(
+        "Booking Cancelled",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>Your booking at ${escapeHtml(propertyTitle)} for ${formatDate(
+          checkIn
+        )} has been cancelled.</p>
+        ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ""}
+        <p>Refund: ${formatMoney(refundAmount, currency)}</p>`
+      ),
+    }),
+    sms: ({ propertyTitle, checkIn, refundAmount, currency }) =>
+      `Your booking at ${propertyTitle} for ${formatDate(
+        checkIn
+      )} was cancelled. Refund: ${formatMoney(refundAmount, currency)}.`,
+    inApp: ({ propertyTitle, checkIn }) => ({
+      title: "Booking cancelled",
+      body: `Your booking at ${propertyTitle} for ${formatDate(
+        checkIn
+      )} was cancelled.`,
+    }),
+  },
+
+  host_booking_cancelled: {
+    email: ({ propertyTitle, checkIn, checkOut, reason }, user) => ({
+      subject: `Booking for ${propertyTitle} was cancelled`,
+      html: layout(
+        "Booking Cancelled",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>The booking of ${escapeHtml(propertyTitle)} from ${formatDate(
+          checkIn
+        )} to ${formatDate(
+          checkOut
+        )} has been cancelled and the dates are open again.</p>
+        ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ""}`
+      ),
+    }),
+    inApp: ({ propertyTitle, checkIn }) => ({
+      title: "Booking cancelled",
+      body: `The booking of ${propertyTitle} for ${formatDate(
+        checkIn
+      )} was cancelled.`,
+    }),
+  },
+
+  booking_requested: {
+    email: (
+      { propertyTitle, checkIn, checkOut, totalAmount, currency },
+      user
+    ) => ({
+      subject: `Your request to book ${propertyTitle} was sent`,
+      html: layout(
+        "Booking Request Sent",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>Your request to book ${escapeHtml(
+          propertyTitle
+        )} has been sent to the host.</p>
+        <p>Check-in: ${formatDate(checkIn)}<br>Check-out: ${formatDate(
+          checkOut
+        )}<br>Total: ${formatMoney(totalAmount, currency)}</p>
+        <p>Your card has been authorized and will only be charged if the host accepts.</p>`
+      ),
+    }),
+    inApp: ({ propertyTitle }) => ({
+      title: "Booking request sent",
+      body: `Your request to book ${propertyTitle} was sent to the host.`,
+    }),
+  },
+
+  booking_request_received: {
+    email: (
+      { propertyTitle, checkIn, checkOut, guestName, requestExpiresAt },
+      user
+    ) => ({
+      subject: `Booking request for ${propertyTitle}`,
+      html: layout(
+        "New Booking Request",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>${escapeHtml(guestName)} would like to book ${escapeHtml(
+          propertyTitle
+        )} from ${formatDate(checkIn)} to ${formatDate(checkOut)}.</p>
+        <p>Please accept or decline the request by ${new Date(
+          requestExpiresAt
+        ).toUTCString()}, or it will expire.</p>
+        ${button(frontendUrl("/host/bookings"), "Review Request")}`
+      ),
+    }),
+    sms: ({ propertyTitle, checkIn, requestExpiresAt }) =>
+      `Booking request for ${propertyTitle} starting ${formatDate(
+        checkIn
+      )}. Respond by ${new Date(requestExpiresAt).toUTCString()}.`,
+    inApp: ({ propertyTitle, checkIn, guestName }) => ({
+      title: "New booking request",
+      body: `${guestName} would like to book ${propertyTitle} from ${formatDate(
+        checkIn
+      )}.`,
+    }),
+  },
+
+  booking_request_declined: {
+    email: ({ propertyTitle, checkIn, reason }, user) => ({
+      subject: `Your request to book ${propertyTitle} was declined`,
+      html: layout(
+        "Booking Request Declined",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>The host declined your request to book ${escapeHtml(
+          propertyTitle
+        )} for ${formatDate(checkIn)}.</p>
+        ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ""}
+        <p>You have not been charged.</p>`
+      ),
+    }),
+    sms: ({ propertyTitle, checkIn }) =>
+      `Your request to book ${propertyTitle} for ${formatDate(
+        checkIn
+      )} was declined. You have not been charged.`,
+    inApp: ({ propertyTitle }) => ({
+      title: "Booking request declined",
+      body: `The host declined your request to book ${propertyTitle}.`,
+    }),
+  },
+
+  booking_request_expired: {
+    email: ({ propertyTitle, checkIn }, user) => ({
+      subject: `Your request to book ${propertyTitle} expired`,
+      html: layout(
+        "Booking Request Expired",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>The host did not respond to your request to book ${escapeHtml(
+          propertyTitle
+        )} for ${formatDate(checkIn)} in time.</p>
+        <p>You have not been charged.</p>`
+      ),
+    }),
+    sms: ({ propertyTitle, checkIn }) =>
+      `Your request to book ${propertyTitle} for ${formatDate(
+        checkIn
+      )} expired. You have not been charged.`,
+    inApp: ({ propertyTitle }) => ({
+      title: "Booking request expired",
+      body: `The host did not respond to your request to book ${propertyTitle}.`,
+    }),
+  },
+
+  host_booking_request_expired: {
+    email: ({ propertyTitle, checkIn, checkOut, guestName }, user) => ({
+      subject: `Booking request for ${propertyTitle} expired`,
+      html: layout(
+        "Booking Request Expired",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>The request from ${escapeHtml(guestName)} to book ${escapeHtml(
+          propertyTitle
+        )} from ${formatDate(checkIn)} to ${formatDate(
+          checkOut
+        )} expired without a response and the dates are open again.</p>`
+      ),
+    }),
+    inApp: ({ propertyTitle, checkIn }) => ({
+      title: "Booking request expired",
+      body: `The request to book ${propertyTitle} for ${formatDate(
+        checkIn
+      )} expired.`,
+    }),
+  },
+
+  review_received: {
+    email: ({ propertyTitle, rating, comment }, user) => ({
+      subject: `New review for ${propertyTitle}`,
+      html: layout(
+        "New Review",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>A guest rated ${escapeHtml(propertyTitle)} ${rating}/5.</p>
+        <p>${escapeHtml(comment)}</p>`
+      ),
+    }),
+    inApp: ({ propertyTitle, rating }) => ({
+      title: "New review",
+      body: `A guest rated ${propertyTitle} ${rating}/5.`,
+    }),
+  },
+
+  guest_review_received: {
+    email: ({ propertyTitle, rating, comment }, user) => ({
+      subject: `Your host at ${propertyTitle} reviewed your stay`,
+      html: layout(
+        "New Review",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>Your host at ${escapeHtml(propertyTitle)} rated you ${rating}/5.</p>
+        <p>${escapeHtml(comment)}</p>`
+      ),
+    }),
+    inApp: ({ propertyTitle, rating }) => ({
+      title: "New review",
+      body: `Your host at ${propertyTitle} rated you ${rating}/5.`,
+    }),
+  },
+
+  new_message: {
+    email: ({ senderName, propertyTitle, preview }, user) => ({
+      subject: `New message about ${propertyTitle}`,
+      html: layout(
+        "New Message",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>${escapeHtml(senderName)} wrote:</p>
+        <p>${escapeHtml(preview)}</p>
+        ${button(frontendUrl("/messages"), "Reply")}`
+      ),
+    }),
+    inApp: ({ senderName, preview }) => ({
+      title: `Message from ${senderName}`,
+      body: preview,
+    }),
+  },
+
+  saved_search_alert: {
+    email: ({ searchName, properties, total, unsubscribeToken }, user) => ({
+      subject: `${total} new ${
+        total === 1 ? "place matches" : "places match"
+      } "${searchName}"`,
+      html: layout(
+        "New Places For Your Search",
+        `<p>Hello ${escapeHtml(user.firstName)},</p>
+        <p>New places match your saved search "${escapeHtml(searchName)}":</p>
+        <ul>${properties
+          .map(
+            ({ id, title, city, pricePerNight, currency }) =>
+              `<li><a href="${frontendUrl(`/properties/${id}`)}">${escapeHtml(
+                title
+              )}</a>, ${escapeHtml(city)}: ${formatMoney(
+                pricePerNight,
+                currency
+              )} per night</li>`
+          )
+          .join("")}</ul>
+        ${
+          total > properties.length
+            ? `<p>And ${total - properties.length} more.</p>`
+            : ""
+        }
+        <p><a href="${frontendUrl(
+          `/saved-searches/unsubscribe?token=${unsubscribeToken}`
+        )}">Stop alerts for this search</a></p>`
+      ),
+    }),
+    sms: ({ searchName, total, unsubscribeToken }) =>
+      `${total} new ${
+        total === 1 ? "place matches" : "places match"
+      } your AbodeX search "${searchName}". Stop these alerts: ${frontendUrl(
+        `/saved-searches/unsubscribe?token=${unsubscribeToken}`
+      )}`,
+  },
+};
+
+const NOTIFICATION_CHANNELS = ["email", "sms", "inApp"];
+
+module.exports = { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS };
@@ -0,0 +1,76 @@
+// Every permission a staff role can grant
+const PERMISSIONS = [
+  "dashboard:view",
+  "users:view",
+  "users:manage",
+  "hosts:view",
+  "hosts:verify",
+  "properties:view",
+  "properties:moderate",
+  "bookings:view",
+  "bookings:refund",
+  "messages:view",
+  "messages:send",
+  "payouts:view",
+  "payouts:manage",
+  "promos:view",
+  "promos:manage",
+  "settings:manage",
+  "roles:manage",
+  "jobs:view",
+  "jobs:run",
+];
+
+// Built-in staff roles, kept in sync with this list on startup. "*" grants
+// every permission.
+const SYSTEM_ROLES = [
+  {
+    name: "super_admin",
+    description: "Full access to the admin API",
+    permissions: ["*"],
+  },
+  {
+    name: "support_agent",
+    description: "Looks up guests, hosts, listings and bookings",
+    permissions: [
+      "dashboard:view",
+      "users:view",
+      "users:manage",
+      "hosts:view",
+      "properties:view",
+      "bookings:view",
+      "messages:view",
+      "messages:send",
+    ],
+  },
+  {
+    name: "finance",
+    description: "Handles payments and refunds",
+    permissions: [
+      "dashboard:view",
+      "hosts:view",
+      "bookings:view",
+      "bookings:refund",
+      "payouts:view",
+      "payouts:manage",
+    ],
+  },
+  {
+    name: "moderator",
+    description: "Verifies hosts and moderates listings",
+    permissions: [
+      "dashboard:view",
+      "hosts:view",
+      "hosts:verify",
+      "properties:view",
+      "properties:moderate",
+    ],
+  },
+  {
+    name: "marketing",
+    description: "Runs promo code campaigns",
+    permissions: ["dashboard:view", "promos:view", "promos:manage"],
+  },
+];
+
+module.exports = { PERMISSIONS, SYSTEM_ROLES };
@@ -1,74 +1,125 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { isSessionActive } = require("../services/sessionService");
+const { getPermissions } = require("../services/permissionService");
 
-exports.authenticate = async (req, res, next) => {
-  try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
-
-    if (!token) {
-      return res
-        .status(401)
-        .json({ message: "Access denied. No token provided." });
-    }
+const SESSION_REVOKED = "Session has expired or been revoked.";
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select("-password");
+const getToken = (req) => req.header("Authorization")?.replace("Bearer ", "");
 
-    if (!user) {
-      return res.status(401).json({ message: "Token is not valid." });
+const verifyToken = (token, secrets) => {
+  for (const secret of secrets) {
+    try {
+      return jwt.verify(token, secret);
+    } catch (error) {
+      // Try the next secret
     }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: "Token is not valid." });
   }
+  return null;
 };
 
-exports.authenticateAdmin = async (req, res, next) => {
-  try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
+// Build an authentication middleware. `secrets` are the JWT secrets the
+// access token may be signed with, `roles` the user roles let through (all
+// when omitted).
+const authenticateWith =
+  ({ secrets, roles, forbiddenMessage, invalidMessage }) =>
+  async (req, res, next) => {
+    try {
+      const token = getToken(req);
 
-    if (!token) {
-      return res
-        .status(401)
-        .json({ message: "Access denied. No token provided." });
-    }
+      if (!token) {
+        return res
+          .status(401)
+          .json({ message: "Access denied. No token provided." });
+      }
 
-    const decoded = jwt.verify(token, process.env.JWT_ADMIN_SECRET);
-    const user = await User.findById(decoded.id).select("-password");
+      const decoded = verifyToken(token, secrets);
+      if (!decoded) {
+        return res.status(401).json({ message: invalidMessage });
+      }
 
-    if (!user || user.role !== "admin") {
-      return res.status(401).json({ message: "Admin access required." });
-    }
+      const user = await User.findById(decoded.id).select("-password");
 
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: "Admin token is not valid." });
-  }
-};
+      if (!user || (roles && !roles.includes(user.role))) {
+        return res.status(401).json({ message: forbiddenMessage });
+      }
 
-exports.authenticateHost = async (req, res, next) => {
-  try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
+      if (!(await isSessionActive(decoded.sid, user._id))) {
+        return res.status(401).json({ message: SESSION_REVOKED });
+      }
 
-    if (!token) {
-      return res
-        .status(401)
-        .json({ message: "Access denied. No token provided." });
+      req.user = user;
+      req.sessionId = decoded.sid;
+      next();
+    } catch (error) {
+      res.status(401).json({ message: invalidMessage });
     }
+  };
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select("-password");
+exports.authenticate = authenticateWith({
+  secrets: [process.env.JWT_SECRET],
+  forbiddenMessage: "Token is not valid.",
+  invalidMessage: "Token is not valid.",
+});
 
-    if (!user || (user.role !== "host" && user.role !== "admin")) {
-      return res.status(401).json({ message: "Host access required." });
-    }
+exports.authenticateAdmin = authenticateWith({
+  secrets: [process.env.JWT_ADMIN_SECRET],
+  roles: ["admin"],
+  forbiddenMessage: "Admin access required.",
+  invalidMessage: "Admin token is not valid.",
+});
+
+exports.authenticateHost = authenticateWith({
+  secrets: [process.env.JWT_SECRET],
+  roles: ["host", "admin"],
+  forbiddenMessage: "Host access required.",
+  invalidMessage: "Token is not valid.",
+});
+
+// Any signed-in account, whichever secret its access token was signed with
+exports.authenticateAccount = authenticateWith({
+  secrets: [process.env.JWT_SECRET, process.env.JWT_ADMIN_SECRET],
+  forbiddenMessage: "Token is not valid.",
+  invalidMessage: "Token is not valid.",
+});
+
+// Public endpoints that personalise their response for signed-in users. Sets
+// req.user when a valid token is sent; anything else is treated as an
+// anonymous request.
+exports.optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    const decoded = token && verifyToken(token, [process.env.JWT_SECRET]);
 
-    req.user = user;
-    next();
+    if (decoded && (await isSessionActive(decoded.sid, decoded.id))) {
+      req.user = await User.findById(decoded.id).select("-password");
+      req.sessionId = decoded.sid;
+    }
   } catch (error) {
-    res.status(401).json({ message: "Token is not valid." });
+    console.error(error);
   }
+  next();
 };
+
+// Staff endpoints: an admin token whose staff roles grant every listed
+// permission. The granted set is left on req.permissions.
+exports.requirePermission =
+  (...permissions) =>
+  (req, res, next) =>
+    exports.authenticateAdmin(req, res, async () => {
+      try {
+        const granted = await getPermissions(req.user);
+
+        if (!permissions.every((permission) => granted.has(permission))) {
+          return res.status(403).json({
+            message: "You do not have permission to perform this action.",
+          });
+        }
+
+        req.permissions = granted;
+        next();
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+      }
+    });
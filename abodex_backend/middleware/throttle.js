@@ -0,0 +1,30 @@
+const { getStore } = require("../services/throttleService");
+
+// Limit how often a single IP can call an endpoint. `name` groups endpoints
+// that share a budget.
+exports.throttleByIp =
+  (name, { max, windowMinutes }) =>
+  async (req, res, next) => {
+    try {
+      const record = await getStore().increment(
+        `ip:${name}:${req.ip}`,
+        windowMinutes * 60 * 1000
+      );
+
+      if (record.count > max) {
+        const retryAfter = Math.ceil(
+          (new Date(record.windowExpiresAt) - Date.now()) / 1000
+        );
+        res.set("Retry-After", String(Math.max(retryAfter, 1)));
+        return res
+          .status(429)
+          .json({ message: "Too many requests. Please try again later." });
+      }
+
+      next();
+    } catch (error) {
+      // Don't lock everyone out if the throttle store is unavailable
+      console.error("Throttle store error:", error);
+      next();
+    }
+  };
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { BASE_CURRENCY } = require("../config/currencies");
 
 const bookingSchema = new mongoose.Schema({
   guest: {
@@ -23,28 +24,97 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Listing currency of the property when booked. totalAmount, the
+  // discounts, refundedAmount and the price breakdown are in it.
+  currency: {
+    type: String,
+    default: BASE_CURRENCY,
+  },
   totalAmount: {
     type: Number,
     required: true,
   },
+  // What the guest was actually charged: totalAmount converted to the
+  // guest's currency at exchangeRate (charge currency units per listing
+  // currency unit). Refunds are made in the charge currency at the same
+  // rate.
+  chargeCurrency: String,
+  chargeAmount: Number,
+  exchangeRate: Number,
+  // Base currency units per listing currency unit, for the ledger
+  baseExchangeRate: Number,
   discountAmount: {
     type: Number,
     default: 0,
   },
+  // Platform promo code applied, and the amount it took off totalAmount.
+  // The platform funds it, so the host is paid as if the guest paid it.
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PromoCode",
+  },
+  promoDiscount: {
+    type: Number,
+    default: 0,
+  },
+  priceBreakdown: mongoose.Schema.Types.Mixed, // Quote the guest was charged
   status: {
     type: String,
-    enum: ["pending", "confirmed", "cancelled", "completed"],
+    // "requested" bookings are paid by card authorization and wait for the
+    // host; "declined" and "expired" are requests the host turned down or
+    // did not answer in time
+    enum: [
+      "pending",
+      "requested",
+      "confirmed",
+      "declined",
+      "expired",
+      "cancelled",
+      "completed",
+    ],
     default: "pending",
   },
+  // Booking mode of the property when booked
+  bookingMode: {
+    type: String,
+    enum: ["instant", "request"],
+    default: "instant",
+  },
+  requestExpiresAt: Date, // Deadline for the host to answer a request
   paymentStatus: {
     type: String,
-    enum: ["pending", "paid", "refunded", "failed"],
+    enum: [
+      "pending",
+      "authorized", // Card authorized, captured when the host accepts
+      "voided", // Authorization released without charging the guest
+      "paid",
+      "partially_refunded",
+      "refunded",
+      "failed",
+      "disputed",
+    ],
     default: "pending",
   },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  dispute: {
+    id: String, // Stripe dispute ID
+    status: String,
+    reason: String,
+  },
   paymentIntentId: String, // Stripe payment intent ID
+  holdExpiresAt: Date, // Dates are held for the guest until payment or expiry
+  reminderSentAt: Date, // Check-in reminder sent
   transactionId: String,
   specialRequests: String,
   cancellationReason: String,
+  cancelledBy: {
+    type: String,
+    enum: ["guest", "host", "admin", "system"],
+  },
+  cancelledAt: Date,
   createdAt: {
     type: Date,
     default: Date.now,
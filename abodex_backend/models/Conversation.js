@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// A message thread between a guest and a host, about a property before
+// booking (an inquiry) or about a booking
+const conversationSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Property",
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["inquiry", "booking"],
+    required: true,
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Host",
+    required: true,
+  },
+  guestUnreadCount: {
+    type: Number,
+    default: 0,
+  },
+  hostUnreadCount: {
+    type: Number,
+    default: 0,
+  },
+  lastMessageAt: Date,
+  lastMessagePreview: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One thread per booking, and one inquiry thread per guest and property.
+// Partial indexes only take equality on `kind`, not $exists: false.
+conversationSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { kind: "booking" } }
+);
+conversationSchema.index(
+  { property: 1, guest: 1 },
+  { unique: true, partialFilterExpression: { kind: "inquiry" } }
+);
+conversationSchema.index({ guest: 1, lastMessageAt: -1 });
+conversationSchema.index({ host: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model("Conversation", conversationSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// A host's review of a guest after a completed stay
+const guestReviewSchema = new mongoose.Schema({
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Host",
+    required: true,
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Property",
+    required: true,
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+    required: true,
+    unique: true,
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true,
+  },
+  comment: {
+    type: String,
+    required: true,
+  },
+  // Hidden until the guest has reviewed the stay too, or revealAt passes
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
+  revealAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+guestReviewSchema.index({ guest: 1, createdAt: -1 });
+guestReviewSchema.index({ isHidden: 1, revealAt: 1 });
+
+module.exports = mongoose.model("GuestReview", guestReviewSchema);
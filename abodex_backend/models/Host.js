@@ -18,8 +18,33 @@ const hostSchema = new mongoose.Schema({
     },
     images: [String], // S3 URLs
   },
+  verificationStatus: {
+    type: String,
+    enum: [
+      "submitted",
+      "under_review",
+      "needs_more_info",
+      "rejected",
+      "approved",
+    ],
+    default: "submitted",
+  },
+  verificationHistory: [
+    {
+      status: String,
+      note: String, // Reviewer note to the host, or the host's own on resubmission
+      reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   isVerified: {
-    type: Boolean,
+    type: Boolean, // True while verificationStatus is "approved"
     default: false,
   },
   verificationDate: Date,
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// History of background job runs, kept for 30 days
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["running", "succeeded", "failed"],
+    default: "running",
+  },
+  trigger: {
+    type: String,
+    enum: ["schedule", "manual"],
+    default: "schedule",
+  },
+  instance: String,
+  processed: Number, // Items the job acted on
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
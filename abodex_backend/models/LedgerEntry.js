@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// One leg of a ledger transaction. Every transaction (a completed booking, a
+// refund, a payout) writes legs whose amounts sum to zero: credits are
+// positive, debits negative. The host_payable account is what the platform
+// owes a host; platform_promotions is what promo codes have cost the
+// platform. Amounts are in the base currency (config/currencies.js).
+const ledgerEntrySchema = new mongoose.Schema({
+  transaction: {
+    type: String, // e.g. "booking:<id>", "refund:<id>:<refunded total>"
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["booking", "refund", "payout"],
+    required: true,
+  },
+  account: {
+    type: String,
+    enum: [
+      "guest_payments",
+      "platform_promotions",
+      "platform_commission",
+      "host_payable",
+      "payouts",
+    ],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Host",
+    required: true,
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+  },
+  // Payout batch a host_payable leg has been gathered into
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payout",
+  },
+  commissionRate: Number,
+  description: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Recording the same transaction twice is rejected
+ledgerEntrySchema.index({ transaction: 1, account: 1 }, { unique: true });
+ledgerEntrySchema.index({ host: 1, account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ booking: 1 });
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+    required: true,
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  senderRole: {
+    type: String,
+    enum: ["guest", "host", "admin"],
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 2000,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Message", messageSchema);
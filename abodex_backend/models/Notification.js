@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// In-app notification shown in the client's notification list
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  title: String,
+  body: String,
+  data: mongoose.Schema.Types.Mixed, // IDs the client can link to
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// An email or SMS waiting to be delivered. Rendered when queued, so a retry
+// sends exactly what was first attempted.
+const outboxMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ["email", "sms"],
+    required: true,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  subject: String,
+  html: String,
+  text: String,
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: Date, // A worker is sending it until then
+  lastError: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("OutboxMessage", outboxMessageSchema);
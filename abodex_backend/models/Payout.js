@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A batch of a host's unpaid ledger entries, paid out in one transfer
+const payoutSchema = new mongoose.Schema({
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Host",
+    required: true,
+    index: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "paid", "failed"],
+    default: "pending",
+  },
+  entryCount: Number,
+  reference: String, // Bank transfer reference, set when paid
+  failureReason: String,
+  paidAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+payoutSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// A platform-funded coupon guests can apply when booking. The discount comes
+// out of the platform's share, never the host's payout. Amounts (fixed
+// values, maxDiscount, minSpend) are in the base currency.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    required: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+  },
+  maxDiscount: Number, // Cap for percentage codes
+  startsAt: Date,
+  expiresAt: Date,
+  minSpend: {
+    type: Number,
+    default: 0,
+  },
+  maxRedemptions: Number, // Across all users; unset for no limit
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1,
+  },
+  // Active redemptions; cancelled bookings give theirs back
+  redemptionCount: {
+    type: Number,
+    default: 0,
+  },
+  targeting: {
+    firstBookingOnly: {
+      type: Boolean,
+      default: false,
+    },
+    cities: [String], // Empty for any city
+    propertyTypes: [String], // Empty for any type
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// A promo code applied to a booking
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PromoCode",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+    required: true,
+    unique: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["active", "released"],
+    default: "active",
+  },
+  releasedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+promoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { BASE_CURRENCY } = require("../config/currencies");
 
 const propertySchema = new mongoose.Schema({
   host: {
@@ -33,15 +34,47 @@ const propertySchema = new mongoose.Schema({
       },
       coordinates: {
         type: [Number], // [longitude, latitude]
-        index: "2dsphere",
       },
     },
   },
   amenities: [String],
+  // Currency of every price on the listing: nightly rates, fees and fixed
+  // discounts
+  currency: {
+    type: String,
+    uppercase: true,
+    default: BASE_CURRENCY,
+  },
   pricePerNight: {
     type: Number,
     required: true,
   },
+  cleaningFee: {
+    type: Number,
+    default: 0,
+  },
+  rateRules: {
+    weekendPrice: Number,
+    weekendDays: {
+      type: [Number], // UTC day of the night, 0 = Sunday
+      default: [5, 6],
+    },
+    seasons: [
+      {
+        name: String,
+        startDate: Date,
+        endDate: Date, // Last night of the season
+        pricePerNight: Number,
+        weekendPrice: Number,
+      },
+    ],
+    overrides: [
+      {
+        date: Date,
+        pricePerNight: Number,
+      },
+    ],
+  },
   maxGuests: {
     type: Number,
     required: true,
@@ -63,8 +96,34 @@ const propertySchema = new mongoose.Schema({
         type: Boolean,
         default: true,
       },
+      source: {
+        type: String,
+        enum: ["manual", "ical"],
+        default: "manual",
+      },
+      externalCalendar: mongoose.Schema.Types.ObjectId, // Set for iCal imports
+      externalUid: String,
+      summary: String,
     },
   ],
+  // Secret for the public iCal export feed
+  calendarToken: {
+    type: String,
+    select: false,
+  },
+  // Calendars from other platforms whose events block dates here. Kept out
+  // of queries by default since feed URLs usually embed a secret.
+  externalCalendars: {
+    type: [
+      {
+        name: String,
+        url: String, // Unset for calendars imported from an uploaded file
+        lastSyncedAt: Date,
+        lastSyncError: String,
+      },
+    ],
+    select: false,
+  },
   discounts: [
     {
       name: String,
@@ -79,10 +138,53 @@ const propertySchema = new mongoose.Schema({
       validUntil: Date,
     },
   ],
+  cancellationPolicy: {
+    type: String,
+    enum: ["flexible", "moderate", "strict", "non_refundable"],
+    default: "moderate",
+  },
+  // "instant" bookings are confirmed once paid; "request" bookings only
+  // authorize the guest's card and wait for the host to accept
+  bookingMode: {
+    type: String,
+    enum: ["instant", "request"],
+    default: "instant",
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
+  // Copy of the host's isVerified, kept by setVerificationStatus so guest
+  // queries needn't look hosts up
+  hostVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // When the property last became visible to guests (created, reactivated
+  // or its host approved), for saved search alerts
+  listedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Guest review aggregates, recalculated whenever a review is added or
+  // removed
+  ratings: {
+    average: {
+      type: Number,
+      default: 0,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -90,5 +192,19 @@ const propertySchema = new mongoose.Schema({
 });
 
 propertySchema.index({ "address.coordinates": "2dsphere" });
+propertySchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+propertySchema.index({ "ratings.average": -1, "ratings.count": -1 });
+// Base of every guest search (listed properties of verified hosts)
+propertySchema.index({ isActive: 1, hostVerified: 1 });
+propertySchema.index({ host: 1 });
+propertySchema.index({ listedAt: -1 });
+
+// Reactivating a property lists it again
+propertySchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("isActive") && this.isActive) {
+    this.listedAt = new Date();
+  }
+  next();
+});
 
 module.exports = mongoose.model("Property", propertySchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One document per booked night. The unique (property, night) index is what
+// stops two bookings from ever holding the same night at the same time.
+const reservedNightSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Property",
+    required: true,
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+    required: true,
+  },
+  night: {
+    type: Date, // UTC midnight of the night
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["held", "confirmed"],
+    default: "held",
+  },
+  expiresAt: Date, // Only set while held
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reservedNightSchema.index({ property: 1, night: 1 }, { unique: true });
+reservedNightSchema.index({ booking: 1 });
+reservedNightSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ReservedNight", reservedNightSchema);
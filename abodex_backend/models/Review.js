@@ -30,10 +30,67 @@ const reviewSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Hidden until the host has reviewed the guest too, or revealAt passes
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
+  revealAt: Date,
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+reviewSchema.index({ property: 1, createdAt: -1 });
+reviewSchema.index({ property: 1, rating: -1 });
+reviewSchema.index({ isHidden: 1, revealAt: 1 });
+
+// Recalculate a property's rating aggregates from its reviews
+reviewSchema.statics.updatePropertyRatings = async function (propertyId) {
+  const groups = await this.aggregate([
+    {
+      $match: {
+        property: new mongoose.Types.ObjectId(propertyId),
+        isHidden: { $ne: true },
+      },
+    },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  groups.forEach((group) => {
+    distribution[group._id] = group.count;
+  });
+  const count = groups.reduce((sum, group) => sum + group.count, 0);
+  const total = groups.reduce((sum, group) => sum + group._id * group.count, 0);
+
+  await mongoose.model("Property").updateOne(
+    { _id: propertyId },
+    {
+      ratings: {
+        average: count ? Math.round((total / count) * 10) / 10 : 0,
+        count,
+        distribution,
+      },
+    }
+  );
+};
+
+reviewSchema.post("save", async function () {
+  await this.constructor.updatePropertyRatings(this.property);
+});
+
+reviewSchema.post(
+  "deleteOne",
+  { document: true, query: false },
+  async function () {
+    await this.constructor.updatePropertyRatings(this.property);
+  }
+);
+
+reviewSchema.post("findOneAndDelete", async function (review) {
+  if (review) await review.constructor.updatePropertyRatings(review.property);
+});
+
 module.exports = mongoose.model("Review", reviewSchema);
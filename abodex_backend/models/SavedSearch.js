@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// A property search a user wants to be alerted about. Alerts list the
+// properties listed since the previous alert that match `params`.
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  // Filter parameters of GET /api/guest/properties
+  params: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true,
+  },
+  frequency: {
+    type: String,
+    enum: ["daily", "weekly"],
+    default: "daily",
+  },
+  channel: {
+    type: String,
+    enum: ["email", "sms"],
+    default: "email",
+  },
+  // Properties listed after this are new to the user
+  lastAlertAt: {
+    type: Date,
+    default: Date.now,
+  },
+  nextAlertAt: Date,
+  // Secret for the unsubscribe link in alerts
+  unsubscribeToken: {
+    type: String,
+    select: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+savedSearchSchema.index({ alertsEnabled: 1, nextAlertAt: 1 });
+savedSearchSchema.index(
+  { unsubscribeToken: 1 },
+  { unique: true, sparse: true }
+);
+
+module.exports = mongoose.model("SavedSearch", savedSearchSchema);
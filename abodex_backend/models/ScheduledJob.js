@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Shared schedule of a background job. Server instances claim a due job by
+// taking its lease, so each run happens on one instance only.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: Date,
+  lockedBy: String, // Instance running the job
+  lastRunAt: Date,
+});
+
+module.exports = mongoose.model("ScheduledJob", scheduledJobSchema);
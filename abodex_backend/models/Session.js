@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// A signed-in device. Access tokens carry the session ID, so revoking the
+// session cuts them off; the refresh token secret rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  isAdmin: {
+    type: Boolean,
+    default: false,
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: Date,
+  revokedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
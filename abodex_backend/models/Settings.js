@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { BASE_CURRENCY } = require("../config/currencies");
+
+// Platform-wide settings managed by admins. There is a single document.
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "platform",
+    unique: true,
+  },
+  twoFactorRequiredRoles: {
+    type: [String],
+    enum: ["guest", "host", "admin"],
+    default: [],
+  },
+  // Share of each completed booking kept by the platform
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: () => parseFloat(process.env.PLATFORM_COMMISSION_RATE) || 0.1,
+  },
+  // Units of each supported currency per unit of the base currency. The
+  // base currency itself is always supported at 1.
+  exchangeRates: {
+    type: Map,
+    of: Number,
+    default: () => ({ [BASE_CURRENCY]: 1 }),
+  },
+  exchangeRatesUpdatedAt: Date,
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+settingsSchema.statics.getSettings = function () {
+  return this.findOneAndUpdate(
+    { key: "platform" },
+    { $setOnInsert: { key: "platform" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model("Settings", settingsSchema);
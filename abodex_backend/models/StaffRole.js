@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const staffRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  description: String,
+  permissions: [String],
+  isSystem: {
+    type: Boolean, // Built-in roles cannot be edited or deleted
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("StaffRole", staffRoleSchema);
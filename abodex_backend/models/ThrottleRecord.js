@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Attempt counters and lockouts shared by every server instance
+const throttleRecordSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  windowExpiresAt: Date,
+  lockedUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: Date,
+});
+
+throttleRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ThrottleRecord", throttleRecordSchema);
@@ -30,10 +30,64 @@ const userSchema = new mongoose.Schema({
     enum: ["guest", "host", "admin"],
     default: "guest",
   },
+  currency: String, // Preferred display currency
   isVerified: {
     type: Boolean,
     default: false,
   },
+  staffRoles: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StaffRole",
+    },
+  ],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String, // Base32 TOTP secret
+      select: false,
+    },
+    pendingSecret: {
+      type: String, // Awaiting a first valid code during enrollment
+      select: false,
+    },
+    backupCodes: {
+      type: [String], // SHA-256 hashes of unused backup codes
+      select: false,
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: Date,
+  },
+  // Channels the user receives notifications on. Per-event entries override
+  // the channel defaults; mandatory events are always sent.
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true,
+    },
+    sms: {
+      type: Boolean,
+      default: true,
+    },
+    inApp: {
+      type: Boolean,
+      default: true,
+    },
+    events: {
+      type: Map,
+      of: new mongoose.Schema(
+        { email: Boolean, sms: Boolean, inApp: Boolean },
+        { _id: false }
+      ),
+      default: {},
+    },
+  },
   verificationToken: String,
   resetPasswordToken: String,
   resetPasswordExpires: Date,
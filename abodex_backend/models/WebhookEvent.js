@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Stripe events already handled, so redelivered events are skipped
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: String,
+  processedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
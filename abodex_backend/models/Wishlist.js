@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A named list of properties a user has saved
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  properties: [
+    {
+      _id: false,
+      property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Property",
+        required: true,
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+wishlistSchema.index({ user: 1, "properties.property": 1 });
+
+module.exports = mongoose.model("Wishlist", wishlistSchema);
@@ -1,47 +1,83 @@
 const express = require("express");
-const { authenticateAdmin } = require("../middleware/auth");
+const { body, validationResult } = require("express-validator");
+const { requirePermission } = require("../middleware/auth");
 const User = require("../models/User");
 const Host = require("../models/Host");
 const Property = require("../models/Property");
 const Booking = require("../models/Booking");
 const Review = require("../models/Review");
+const Settings = require("../models/Settings");
+const StaffRole = require("../models/StaffRole");
+const Payout = require("../models/Payout");
+const Conversation = require("../models/Conversation");
+const ScheduledJob = require("../models/ScheduledJob");
+const JobRun = require("../models/JobRun");
+const PromoCode = require("../models/PromoCode");
+const PromoRedemption = require("../models/PromoRedemption");
+const { PERMISSIONS } = require("../config/permissions");
+const { BASE_CURRENCY } = require("../config/currencies");
+const { parseExchangeRates } = require("../services/currencyService");
+const { cancelBooking } = require("../services/bookingService");
+const { getRefundableBalance } = require("../services/cancellationService");
+const { revokeAllSessions } = require("../services/sessionService");
+const { getJobs, runJobNow } = require("../services/schedulerService");
+const { listMessages, sendMessage } = require("../services/messagingService");
+const {
+  createPayoutBatches,
+  markPayoutPaid,
+  markPayoutFailed,
+} = require("../services/ledgerService");
+const {
+  VERIFICATION_STATUSES,
+  canReview,
+  setVerificationStatus,
+} = require("../services/hostVerificationService");
+const {
+  getLoginThrottleState,
+  clearLoginFailures,
+  listLockedLogins,
+} = require("../services/throttleService");
 
 const router = express.Router();
 
 // Get dashboard stats
-router.get("/dashboard", authenticateAdmin, async (req, res) => {
-  try {
-    const totalUsers = await User.countDocuments();
-    const totalHosts = await Host.countDocuments();
-    const totalProperties = await Property.countDocuments();
-    const totalBookings = await Booking.countDocuments();
-    const totalRevenue = await Booking.aggregate([
-      { $match: { paymentStatus: "paid" } },
-      { $group: { _id: null, total: { $sum: "$totalAmount" } } },
-    ]);
-
-    const recentBookings = await Booking.find()
-      .populate("guest", "firstName lastName")
-      .populate("property")
-      .sort({ createdAt: -1 })
-      .limit(10);
+router.get(
+  "/dashboard",
+  requirePermission("dashboard:view"),
+  async (req, res) => {
+    try {
+      const totalUsers = await User.countDocuments();
+      const totalHosts = await Host.countDocuments();
+      const totalProperties = await Property.countDocuments();
+      const totalBookings = await Booking.countDocuments();
+      const totalRevenue = await Booking.aggregate([
+        { $match: { paymentStatus: "paid" } },
+        { $group: { _id: null, total: { $sum: "$totalAmount" } } },
+      ]);
 
-    res.json({
-      totalUsers,
-      totalHosts,
-      totalProperties,
-      totalBookings,
-      totalRevenue: totalRevenue[0]?.total || 0,
-      recentBookings,
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      const recentBookings = await Booking.find()
+        .populate("guest", "firstName lastName")
+        .populate("property")
+        .sort({ createdAt: -1 })
+        .limit(10);
+
+      res.json({
+        totalUsers,
+        totalHosts,
+        totalProperties,
+        totalBookings,
+        totalRevenue: totalRevenue[0]?.total || 0,
+        recentBookings,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // Get all users
-router.get("/users", authenticateAdmin, async (req, res) => {
+router.get("/users", requirePermission("users:view"), async (req, res) => {
   try {
     const { page = 1, limit = 10, role } = req.query;
     const filter = role ? { role } : {};
@@ -66,12 +102,72 @@ router.get("/users", authenticateAdmin, async (req, res) => {
   }
 });
 
+// Get currently locked-out logins
+router.get("/lockouts", requirePermission("users:view"), async (req, res) => {
+  try {
+    const lockouts = await listLockedLogins();
+    const users = await User.find({
+      email: { $in: lockouts.map((l) => l.email) },
+    }).select("firstName lastName email role");
+
+    res.json(
+      lockouts.map((lockout) => ({
+        ...lockout,
+        user: users.find((u) => u.email === lockout.email) || null,
+      }))
+    );
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get a user's login lockout state
+router.get(
+  "/users/:id/lockout",
+  requirePermission("users:view"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.json(await getLoginThrottleState(user.email));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Clear a user's login lockout
+router.delete(
+  "/users/:id/lockout",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      await clearLoginFailures(user.email);
+      res.json({ message: "Lockout cleared" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Get all hosts with stats
-router.get("/hosts", authenticateAdmin, async (req, res) => {
+router.get("/hosts", requirePermission("hosts:view"), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, verificationStatus } = req.query;
+    const filter = verificationStatus ? { verificationStatus } : {};
 
-    const hosts = await Host.find()
+    const hosts = await Host.find(filter)
       .populate("user", "firstName lastName email phone")
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -98,7 +194,7 @@ router.get("/hosts", authenticateAdmin, async (req, res) => {
     // Save updated tags
     await Promise.all(sortedHosts.map((host) => host.save()));
 
-    const total = await Host.countDocuments();
+    const total = await Host.countDocuments(filter);
 
     res.json({
       hosts,
@@ -112,46 +208,519 @@ router.get("/hosts", authenticateAdmin, async (req, res) => {
   }
 });
 
+// Move a host application through review
+const reviewHost = async (req, res, status, note) => {
+  const host = await Host.findById(req.params.id);
+
+  if (!host) {
+    return res.status(404).json({ message: "Host not found" });
+  }
+
+  if (!canReview(host, status)) {
+    return res.status(400).json({
+      message: `Cannot move a host application from ${host.verificationStatus} to ${status}`,
+    });
+  }
+
+  await setVerificationStatus(host, status, { note, reviewer: req.user._id });
+
+  res.json(await host.populate("user"));
+};
+
 // Verify host
-router.patch("/hosts/:id/verify", authenticateAdmin, async (req, res) => {
-  try {
-    const host = await Host.findByIdAndUpdate(
-      req.params.id,
-      {
-        isVerified: true,
-        verificationDate: new Date(),
-      },
-      { new: true }
-    ).populate("user");
+router.patch(
+  "/hosts/:id/verify",
+  requirePermission("hosts:verify"),
+  async (req, res) => {
+    try {
+      await reviewHost(req, res, "approved", req.body?.note);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update host verification status
+router.patch(
+  "/hosts/:id/verification",
+  requirePermission("hosts:verify"),
+  [
+    body("status").isIn(VERIFICATION_STATUSES),
+    body("note")
+      .if(body("status").isIn(["needs_more_info", "rejected"]))
+      .trim()
+      .notEmpty()
+      .withMessage("A note for the host is required"),
+    body("note").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await reviewHost(req, res, req.body.status, req.body.note);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get all properties
+router.get(
+  "/properties",
+  requirePermission("properties:view"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const filter = status ? { isActive: status === "active" } : {};
+
+      const properties = await Property.find(filter)
+        .populate("host")
+        .populate("host.user", "firstName lastName")
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .sort({ createdAt: -1 });
+
+      const total = await Property.countDocuments(filter);
+
+      res.json({
+        properties,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Toggle property status
+router.patch(
+  "/properties/:id/status",
+  requirePermission("properties:moderate"),
+  async (req, res) => {
+    try {
+      const property = await Property.findById(req.params.id);
+
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      property.isActive = !property.isActive;
+      await property.save();
+
+      res.json(property);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove a review that breaks the content rules
+router.delete(
+  "/reviews/:id",
+  requirePermission("properties:moderate"),
+  async (req, res) => {
+    try {
+      const review = await Review.findByIdAndDelete(req.params.id);
+
+      if (!review) {
+        return res.status(404).json({ message: "Review not found" });
+      }
 
-    if (!host) {
-      return res.status(404).json({ message: "Host not found" });
+      res.json({ message: "Review removed" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
+
+// Get all bookings
+router.get(
+  "/bookings",
+  requirePermission("bookings:view"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const filter = status ? { status } : {};
+
+      const bookings = await Booking.find(filter)
+        .populate("guest", "firstName lastName email")
+        .populate("property")
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .sort({ createdAt: -1 });
 
-    res.json(host);
+      const total = await Booking.countDocuments(filter);
+
+      res.json({
+        bookings,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Cancel a booking and refund the guest. refundAmount is in the booking's
+// listing currency; the guest gets it back in the currency they paid in.
+router.post(
+  "/bookings/:id/cancel",
+  requirePermission("bookings:refund"),
+  [
+    body("reason").notEmpty().trim(),
+    body("refundAmount").optional().isFloat({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({ message: "Booking not found" });
+      }
+
+      // Full refund unless a smaller amount is given
+      const balance = getRefundableBalance(booking);
+      const refundAmount =
+        req.body.refundAmount !== undefined
+          ? Math.min(parseFloat(req.body.refundAmount), balance)
+          : balance;
+
+      const cancelled = await cancelBooking(booking, {
+        refundAmount,
+        reason: req.body.reason,
+        cancelledBy: "admin",
+      });
+
+      if (!cancelled) {
+        return res
+          .status(400)
+          .json({ message: `Booking is already ${booking.status}` });
+      }
+
+      res.json({ booking: cancelled, refundAmount });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// List permissions that roles can grant
+router.get(
+  "/permissions",
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    res.json(PERMISSIONS);
+  }
+);
+
+// Get staff roles
+router.get("/roles", requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const roles = await StaffRole.find().sort({ isSystem: -1, name: 1 });
+    res.json(roles);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Get all properties
-router.get("/properties", authenticateAdmin, async (req, res) => {
+const roleValidators = (optional) => [
+  optional
+    ? body("name").optional().trim().notEmpty()
+    : body("name").trim().notEmpty(),
+  body("description").optional().isString(),
+  optional
+    ? body("permissions").optional().isArray()
+    : body("permissions").isArray({ min: 1 }),
+  body("permissions.*").isIn(PERMISSIONS),
+];
+
+// Create staff role
+router.post(
+  "/roles",
+  requirePermission("roles:manage"),
+  roleValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, permissions } = req.body;
+
+      if (await StaffRole.exists({ name: name.toLowerCase() })) {
+        return res.status(400).json({ message: "Role already exists" });
+      }
+
+      const role = await StaffRole.create({ name, description, permissions });
+      res.status(201).json(role);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update staff role
+router.patch(
+  "/roles/:id",
+  requirePermission("roles:manage"),
+  roleValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const role = await StaffRole.findById(req.params.id);
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+      if (role.isSystem) {
+        return res
+          .status(400)
+          .json({ message: "Built-in roles cannot be changed" });
+      }
+
+      const { name, description, permissions } = req.body;
+      if (name !== undefined) role.name = name;
+      if (description !== undefined) role.description = description;
+      if (permissions !== undefined) role.permissions = permissions;
+
+      await role.save();
+      res.json(role);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete staff role
+router.delete(
+  "/roles/:id",
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    try {
+      const role = await StaffRole.findById(req.params.id);
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+      if (role.isSystem) {
+        return res
+          .status(400)
+          .json({ message: "Built-in roles cannot be deleted" });
+      }
+
+      const assigned = await User.countDocuments({ staffRoles: role._id });
+      if (assigned > 0) {
+        return res.status(400).json({
+          message: `Role is assigned to ${assigned} staff account(s)`,
+        });
+      }
+
+      await role.deleteOne();
+      res.json({ message: "Role deleted" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Assign staff roles to a user. Assigning any role makes the account a staff
+// (admin) account; assigning none turns it back into a guest or host.
+router.put(
+  "/users/:id/roles",
+  requirePermission("roles:manage"),
+  [body("roles").isArray(), body("roles.*").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.params.id === req.user.id) {
+        return res
+          .status(400)
+          .json({ message: "You cannot change your own staff roles" });
+      }
+
+      const user = await User.findById(req.params.id).select("-password");
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const roles = await StaffRole.find({ _id: { $in: req.body.roles } });
+      if (roles.length !== new Set(req.body.roles).size) {
+        return res.status(400).json({ message: "Unknown role" });
+      }
+
+      const wasStaff = user.role === "admin";
+      user.staffRoles = roles.map((role) => role._id);
+
+      if (roles.length > 0) {
+        user.role = "admin";
+      } else if (wasStaff) {
+        user.role = (await Host.exists({ user: user._id })) ? "host" : "guest";
+      }
+
+      await user.save();
+
+      // Tokens are signed with a different secret for staff, so existing
+      // sessions must sign in again after a change of account type
+      if (wasStaff !== (user.role === "admin")) {
+        await revokeAllSessions(user._id);
+      }
+
+      res.json(await user.populate("staffRoles"));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get conversations for support, optionally for one booking, property or user
+router.get(
+  "/conversations",
+  requirePermission("messages:view"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, booking, property, user } = req.query;
+
+      const filter = {};
+      if (booking) filter.booking = booking;
+      if (property) filter.property = property;
+      if (user) {
+        const host = await Host.findOne({ user });
+        filter.$or = [{ guest: user }, ...(host ? [{ host: host._id }] : [])];
+      }
+
+      const conversations = await Conversation.find(filter)
+        .populate("property", "title")
+        .populate("booking", "checkIn checkOut status")
+        .populate("guest", "firstName lastName email")
+        .populate({
+          path: "host",
+          select: "user",
+          populate: { path: "user", select: "firstName lastName email" },
+        })
+        .sort({ lastMessageAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await Conversation.countDocuments(filter);
+
+      res.json({
+        conversations,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get messages in a conversation, unmasked
+router.get(
+  "/conversations/:id/messages",
+  requirePermission("messages:view"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      res.json(
+        await listMessages(conversation, { page, limit, unmasked: true })
+      );
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Post a support message to a conversation
+router.post(
+  "/conversations/:id/messages",
+  requirePermission("messages:send"),
+  [body("message").trim().isLength({ min: 1, max: 2000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      const message = await sendMessage(
+        conversation,
+        req.user,
+        "admin",
+        req.body.message
+      );
+
+      res.status(201).json(message);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get payouts, pending ones by default
+router.get("/payouts", requirePermission("payouts:view"), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
-    const filter = status ? { isActive: status === "active" } : {};
+    const { page = 1, limit = 10, status = "pending" } = req.query;
+    const filter = status === "all" ? {} : { status };
 
-    const properties = await Property.find(filter)
-      .populate("host")
-      .populate("host.user", "firstName lastName")
+    const payouts = await Payout.find(filter)
+      .populate({
+        path: "host",
+        select: "user bankDetails",
+        populate: { path: "user", select: "firstName lastName email" },
+      })
+      .sort({ createdAt: 1 })
       .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+      .skip((page - 1) * limit);
 
-    const total = await Property.countDocuments(filter);
+    const total = await Payout.countDocuments(filter);
 
     res.json({
-      properties,
+      payouts,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total,
@@ -162,42 +731,110 @@ router.get("/properties", authenticateAdmin, async (req, res) => {
   }
 });
 
-// Toggle property status
-router.patch("/properties/:id/status", authenticateAdmin, async (req, res) => {
-  try {
-    const property = await Property.findById(req.params.id);
+// Batch every host's unpaid earnings into pending payouts
+router.post(
+  "/payouts/batch",
+  requirePermission("payouts:manage"),
+  async (req, res) => {
+    try {
+      const payouts = await createPayoutBatches();
+      res.status(201).json({ payouts, count: payouts.length });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Mark a pending payout as paid or failed
+router.patch(
+  "/payouts/:id",
+  requirePermission("payouts:manage"),
+  [
+    body("status").isIn(["paid", "failed"]),
+    body("reference").optional().isString().trim(),
+    body("reason").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (!property) {
-      return res.status(404).json({ message: "Property not found" });
+      const payout =
+        req.body.status === "paid"
+          ? await markPayoutPaid(req.params.id, req.body.reference)
+          : await markPayoutFailed(req.params.id, req.body.reason);
+
+      if (!payout) {
+        const existing = await Payout.findById(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ message: "Payout not found" });
+        }
+        return res
+          .status(400)
+          .json({ message: `Payout is already ${existing.status}` });
+      }
+
+      res.json(payout);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    property.isActive = !property.isActive;
-    await property.save();
+// Get background jobs with their schedule and latest run
+router.get("/jobs", requirePermission("jobs:view"), async (req, res) => {
+  try {
+    const schedules = await ScheduledJob.find();
+
+    const jobs = await Promise.all(
+      getJobs().map(async (job) => {
+        const schedule = schedules.find((s) => s.name === job.name);
+        return {
+          name: job.name,
+          description: job.description,
+          intervalMs: job.intervalMs,
+          nextRunAt: schedule ? schedule.nextRunAt : null,
+          running: Boolean(
+            schedule &&
+              schedule.lockedUntil &&
+              schedule.lockedUntil > new Date()
+          ),
+          lastRun: await JobRun.findOne({ job: job.name }).sort({
+            startedAt: -1,
+          }),
+        };
+      })
+    );
 
-    res.json(property);
+    res.json(jobs);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Get all bookings
-router.get("/bookings", authenticateAdmin, async (req, res) => {
+// Get job run history
+router.get("/jobs/runs", requirePermission("jobs:view"), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
-    const filter = status ? { status } : {};
+    const { page = 1, limit = 20, job, status } = req.query;
 
-    const bookings = await Booking.find(filter)
-      .populate("guest", "firstName lastName email")
-      .populate("property")
+    const filter = {};
+    if (job) filter.job = job;
+    if (status) filter.status = status;
+
+    const runs = await JobRun.find(filter)
+      .sort({ startedAt: -1 })
       .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+      .skip((page - 1) * limit);
 
-    const total = await Booking.countDocuments(filter);
+    const total = await JobRun.countDocuments(filter);
 
     res.json({
-      bookings,
+      runs,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total,
@@ -208,4 +845,322 @@ router.get("/bookings", authenticateAdmin, async (req, res) => {
   }
 });
 
+// Run a job now
+router.post(
+  "/jobs/:name/run",
+  requirePermission("jobs:run"),
+  async (req, res) => {
+    try {
+      if (!getJobs().some((job) => job.name === req.params.name)) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+
+      const run = await runJobNow(req.params.name);
+      if (!run) {
+        return res.status(409).json({ message: "Job is already running" });
+      }
+
+      res.json(run);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get promo codes, optionally only active or inactive ones
+router.get(
+  "/promo-codes",
+  requirePermission("promos:view"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const filter = status ? { isActive: status === "active" } : {};
+
+      const promoCodes = await PromoCode.find(filter)
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .sort({ createdAt: -1 });
+
+      const total = await PromoCode.countDocuments(filter);
+
+      res.json({
+        promoCodes,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get a promo code with its redemption totals and latest redemptions
+router.get(
+  "/promo-codes/:id",
+  requirePermission("promos:view"),
+  async (req, res) => {
+    try {
+      const promoCode = await PromoCode.findById(req.params.id);
+      if (!promoCode) {
+        return res.status(404).json({ message: "Promo code not found" });
+      }
+
+      const totals = await PromoRedemption.aggregate([
+        { $match: { promoCode: promoCode._id } },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            amount: { $sum: "$amount" },
+          },
+        },
+      ]);
+      const redemptions = await PromoRedemption.find({
+        promoCode: promoCode._id,
+      })
+        .populate("user", "firstName lastName email")
+        .populate("booking", "status totalAmount checkIn checkOut")
+        .sort({ createdAt: -1 })
+        .limit(20);
+
+      res.json({
+        promoCode,
+        totals: Object.fromEntries(
+          totals.map(({ _id, count, amount }) => [_id, { count, amount }])
+        ),
+        redemptions,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+const PROMO_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "startsAt",
+  "expiresAt",
+  "minSpend",
+  "maxRedemptions",
+  "maxRedemptionsPerUser",
+  "isActive",
+];
+const TARGETING_FIELDS = ["firstBookingOnly", "cities", "propertyTypes"];
+
+const promoValidators = (optional) => {
+  const field = (name) =>
+    optional ? body(name).optional() : body(name).exists().bail();
+  return [
+    field("code")
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage("Codes are 3-30 letters, digits, - or _"),
+    body("description").optional().isString(),
+    field("discountType").isIn(["percentage", "fixed"]),
+    field("value").isFloat({ gt: 0 }),
+    body("value")
+      .optional()
+      .custom(
+        (value, { req }) =>
+          req.body.discountType !== "percentage" || value <= 100
+      )
+      .withMessage("Percentage codes can take at most 100% off"),
+    body(["maxDiscount", "minSpend"]).optional({ nullable: true }).isFloat({
+      min: 0,
+    }),
+    body(["maxRedemptions", "maxRedemptionsPerUser"])
+      .optional({ nullable: true })
+      .isInt({ min: 1 }),
+    body(["startsAt", "expiresAt"]).optional({ nullable: true }).isISO8601(),
+    body("expiresAt")
+      .optional({ nullable: true })
+      .custom(
+        (expiresAt, { req }) =>
+          !req.body.startsAt ||
+          new Date(expiresAt) > new Date(req.body.startsAt)
+      )
+      .withMessage("Expiry must be after the start"),
+    body("isActive").optional().isBoolean(),
+    body("targeting.firstBookingOnly").optional().isBoolean(),
+    body("targeting.cities").optional().isArray(),
+    body("targeting.cities.*").isString().trim().notEmpty(),
+    body("targeting.propertyTypes").optional().isArray(),
+    body("targeting.propertyTypes.*").isIn(
+      Property.schema.path("type").enumValues
+    ),
+  ];
+};
+
+const applyPromoFields = (promoCode, { targeting, ...fields }) => {
+  PROMO_FIELDS.filter((name) => fields[name] !== undefined).forEach((name) => {
+    promoCode[name] = fields[name];
+  });
+  if (targeting) {
+    TARGETING_FIELDS.filter((name) => targeting[name] !== undefined).forEach(
+      (name) => {
+        promoCode.targeting[name] = targeting[name];
+      }
+    );
+  }
+};
+
+// Create promo code
+router.post(
+  "/promo-codes",
+  requirePermission("promos:manage"),
+  promoValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const promoCode = new PromoCode({ createdBy: req.user.id });
+      applyPromoFields(promoCode, req.body);
+      await promoCode.save();
+
+      res.status(201).json(promoCode);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "Promo code already exists" });
+      }
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update promo code. Bookings that already used it keep their discount.
+router.patch(
+  "/promo-codes/:id",
+  requirePermission("promos:manage"),
+  promoValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const promoCode = await PromoCode.findById(req.params.id);
+      if (!promoCode) {
+        return res.status(404).json({ message: "Promo code not found" });
+      }
+
+      applyPromoFields(promoCode, req.body);
+      if (promoCode.discountType === "percentage" && promoCode.value > 100) {
+        return res
+          .status(400)
+          .json({ message: "Percentage codes can take at most 100% off" });
+      }
+      promoCode.updatedAt = new Date();
+      await promoCode.save();
+
+      res.json(promoCode);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "Promo code already exists" });
+      }
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete a promo code that has never been used
+router.delete(
+  "/promo-codes/:id",
+  requirePermission("promos:manage"),
+  async (req, res) => {
+    try {
+      const promoCode = await PromoCode.findById(req.params.id);
+      if (!promoCode) {
+        return res.status(404).json({ message: "Promo code not found" });
+      }
+
+      if (await PromoRedemption.exists({ promoCode: promoCode._id })) {
+        return res.status(400).json({
+          message: "Promo code has been used; deactivate it instead",
+        });
+      }
+
+      await promoCode.deleteOne();
+      res.json({ message: "Promo code deleted" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get platform settings
+router.get(
+  "/settings",
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const settings = await Settings.getSettings();
+      res.json({ ...settings.toObject(), baseCurrency: BASE_CURRENCY });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update platform settings
+router.patch(
+  "/settings",
+  requirePermission("settings:manage"),
+  [
+    body("twoFactorRequiredRoles").optional().isArray(),
+    body("twoFactorRequiredRoles.*").isIn(["guest", "host", "admin"]),
+    body("commissionRate").optional().isFloat({ min: 0, max: 1 }),
+    body("exchangeRates")
+      .optional()
+      .custom((rates) => Boolean(parseExchangeRates(rates))),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const settings = await Settings.getSettings();
+
+      if (req.body.twoFactorRequiredRoles) {
+        settings.twoFactorRequiredRoles = req.body.twoFactorRequiredRoles;
+      }
+      if (req.body.commissionRate !== undefined) {
+        settings.commissionRate = parseFloat(req.body.commissionRate);
+      }
+      // Replaces the whole table; bookings keep the rates they were made at
+      if (req.body.exchangeRates) {
+        settings.exchangeRates = {
+          ...parseExchangeRates(req.body.exchangeRates),
+          [BASE_CURRENCY]: 1,
+        };
+        settings.exchangeRatesUpdatedAt = new Date();
+      }
+      settings.updatedAt = new Date();
+
+      await settings.save();
+      res.json(settings);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 module.exports = router;
@@ -3,24 +3,80 @@ const { body, validationResult } = require("express-validator");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Host = require("../models/Host");
-const { authenticate } = require("../middleware/auth");
+const Settings = require("../models/Settings");
+const { authenticate, authenticateAccount } = require("../middleware/auth");
+const { notify } = require("../services/notificationService");
+const { assertSupportedCurrency } = require("../services/currencyService");
 const {
-  sendVerificationEmail,
-  sendPasswordResetEmail,
-} = require("../services/emailService");
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessionService");
+const {
+  generateSecret,
+  getOtpauthUrl,
+  verifyTotp,
+  verifyTwoFactorCode,
+  generateBackupCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require("../services/twoFactorService");
+const {
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  isOverLimit,
+} = require("../services/throttleService");
+const { throttleByIp } = require("../middleware/throttle");
 const upload = require("../config/s3Config");
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id, isAdmin = false) => {
-  return jwt.sign(
-    { id },
-    isAdmin ? process.env.JWT_ADMIN_SECRET : process.env.JWT_SECRET,
-    {
-      expiresIn: "30d",
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+const userSummary = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  phone: user.phone,
+  role: user.role,
+});
+
+const LOCKED_MESSAGE =
+  "Too many failed attempts. Your account is temporarily locked, please try again later.";
+
+const isTwoFactorRequired = async (role) => {
+  const settings = await Settings.getSettings();
+  return settings.twoFactorRequiredRoles.includes(role);
+};
+
+// 2FA enrollment accepts a normal access token or, for accounts that must
+// enroll before they are allowed to sign in, the login challenge token
+const authenticateForTwoFactor = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticateAccount(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    const user = userId && (await User.findById(userId).select("-password"));
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: "Challenge token is invalid or expired" });
     }
-  );
+
+    req.user = user;
+    req.isLoginChallenge = true;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
 };
 
 // Register user
@@ -70,25 +126,15 @@ router.post(
       await user.save();
 
       // Send verification email
-      await sendVerificationEmail(
-        user.email,
-        verificationToken,
-        user.firstName
-      );
+      await notify(user, "email_verification", { token: verificationToken });
 
-      // Generate auth token
-      const token = generateToken(user._id);
+      // Start a session
+      const { token, refreshToken } = await createSession(user, req);
 
       res.status(201).json({
         token,
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          phone: user.phone,
-          role: user.role,
-        },
+        refreshToken,
+        user: userSummary(user),
       });
     } catch (error) {
       console.error(error);
@@ -100,6 +146,7 @@ router.post(
 // Login user
 router.post(
   "/login",
+  throttleByIp("login", { max: 20, windowMinutes: 15 }),
   [body("email").isEmail(), body("password").notEmpty()],
   async (req, res) => {
     try {
@@ -110,25 +157,42 @@ router.post(
 
       const { email, password } = req.body;
 
+      const lockedUntil = await getLoginLock(email);
+      if (lockedUntil) {
+        return res.status(429).json({ message: LOCKED_MESSAGE, lockedUntil });
+      }
+
       // Check if user exists
       const user = await User.findOne({ email });
       if (!user || !(await user.correctPassword(password, user.password))) {
+        await recordLoginFailure(email, user);
         return res.status(401).json({ message: "Invalid credentials" });
       }
 
-      // Generate token
-      const token = generateToken(user._id, user.role === "admin");
+      // Second step: a code from the authenticator app, or enrollment first
+      // when the account's role requires 2FA
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user._id),
+        });
+      }
+      if (await isTwoFactorRequired(user.role)) {
+        return res.json({
+          twoFactorSetupRequired: true,
+          challengeToken: createChallengeToken(user._id),
+        });
+      }
+
+      await clearLoginFailures(email);
+
+      // Start a session
+      const { token, refreshToken } = await createSession(user, req);
 
       res.json({
         token,
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          phone: user.phone,
-          role: user.role,
-        },
+        refreshToken,
+        user: userSummary(user),
       });
     } catch (error) {
       console.error(error);
@@ -137,6 +201,277 @@ router.post(
   }
 );
 
+// Complete login with a 2FA code
+router.post(
+  "/login/2fa",
+  throttleByIp("login", { max: 20, windowMinutes: 15 }),
+  [body("challengeToken").notEmpty(), body("code").notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = verifyChallengeToken(req.body.challengeToken);
+      const user =
+        userId && (await User.findById(userId).select(TWO_FACTOR_FIELDS));
+      if (!user || !user.twoFactor.enabled) {
+        return res
+          .status(401)
+          .json({ message: "Challenge token is invalid or expired" });
+      }
+
+      const lockedUntil = await getLoginLock(user.email);
+      if (lockedUntil) {
+        return res.status(429).json({ message: LOCKED_MESSAGE, lockedUntil });
+      }
+
+      if (!verifyTwoFactorCode(user, req.body.code)) {
+        await recordLoginFailure(user.email, user);
+        return res.status(401).json({ message: "Invalid verification code" });
+      }
+      await user.save();
+      await clearLoginFailures(user.email);
+
+      const { token, refreshToken } = await createSession(user, req);
+
+      res.json({ token, refreshToken, user: userSummary(user) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Start 2FA enrollment
+router.post("/2fa/setup", authenticateForTwoFactor, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({ secret, otpauthUrl: getOtpauthUrl(user.email, secret) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Confirm enrollment with a first code. Backup codes are only shown here.
+// When enrolling from a login challenge, this also completes the login.
+router.post(
+  "/2fa/verify",
+  authenticateForTwoFactor,
+  [body("code").notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!user.twoFactor.pendingSecret) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor setup has not been started" });
+      }
+
+      const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ message: "Invalid verification code" });
+      }
+
+      const { codes, hashes } = generateBackupCodes();
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.backupCodes = hashes;
+      await user.save();
+
+      const response = {
+        message: "Two-factor authentication enabled",
+        backupCodes: codes,
+      };
+
+      if (req.isLoginChallenge) {
+        Object.assign(response, await createSession(user, req), {
+          user: userSummary(user),
+        });
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Disable 2FA
+router.post(
+  "/2fa/disable",
+  authenticateAccount,
+  [body("password").notEmpty(), body("code").notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (await isTwoFactorRequired(req.user.role)) {
+        return res.status(403).json({
+          message: "Two-factor authentication is required for your account",
+        });
+      }
+
+      const user = await User.findById(req.user._id).select(
+        `+password ${TWO_FACTOR_FIELDS}`
+      );
+
+      if (!user.twoFactor.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      if (
+        !(await user.correctPassword(req.body.password, user.password)) ||
+        !verifyTwoFactorCode(user, req.body.code)
+      ) {
+        return res.status(401).json({ message: "Invalid credentials" });
+      }
+
+      user.twoFactor = { enabled: false };
+      await user.save();
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Replace backup codes
+router.post(
+  "/2fa/backup-codes",
+  authenticateAccount,
+  [body("code").notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      if (!verifyTwoFactorCode(user, req.body.code)) {
+        return res.status(401).json({ message: "Invalid verification code" });
+      }
+
+      const { codes, hashes } = generateBackupCodes();
+      user.twoFactor.backupCodes = hashes;
+      await user.save();
+
+      res.json({ backupCodes: codes });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Refresh access token
+router.post("/refresh", [body("refreshToken").notEmpty()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    if (!tokens) {
+      return res
+        .status(401)
+        .json({ message: "Refresh token is invalid or expired" });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Logout. Takes the refresh token so it works for every role's access token.
+router.post("/logout", [body("refreshToken").notEmpty()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await findSessionByRefreshToken(req.body.refreshToken);
+    if (session) {
+      await revokeSession(session._id);
+    }
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Logout from all devices
+router.post(
+  "/logout-all",
+  [body("refreshToken").notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const session = await findSessionByRefreshToken(req.body.refreshToken);
+      if (!session) {
+        return res
+          .status(401)
+          .json({ message: "Refresh token is invalid or expired" });
+      }
+
+      await revokeAllSessions(session.user);
+
+      res.json({ message: "Logged out from all devices" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Verify email
 router.get("/verify-email", async (req, res) => {
   try {
@@ -171,44 +506,61 @@ router.get("/verify-email", async (req, res) => {
 });
 
 // Forgot password
-router.post("/forgot-password", [body("email").isEmail()], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+// The response is the same whether or not the email is registered
+const FORGOT_PASSWORD_MESSAGE =
+  "If an account exists for that email, a password reset link has been sent";
 
-    const { email } = req.body;
+router.post(
+  "/forgot-password",
+  throttleByIp("password-reset", { max: 10, windowMinutes: 60 }),
+  [body("email").isEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+      const { email } = req.body;
 
-    // Generate reset token
-    const resetToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET + user.password,
-      { expiresIn: "1h" }
-    );
+      // At most a few reset emails per address per hour
+      const overLimit = await isOverLimit(
+        `forgot:${email.toLowerCase()}`,
+        3,
+        60 * 60 * 1000
+      );
 
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-    await user.save();
+      const user = await User.findOne({ email });
+      if (!user || overLimit) {
+        return res.json({ message: FORGOT_PASSWORD_MESSAGE });
+      }
 
-    // Send reset email
-    await sendPasswordResetEmail(user.email, resetToken, user.firstName);
+      // Generate reset token
+      const resetToken = jwt.sign(
+        { id: user._id },
+        process.env.JWT_SECRET + user.password,
+        { expiresIn: "1h" }
+      );
 
-    res.json({ message: "Password reset email sent" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      user.resetPasswordToken = resetToken;
+      user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+      await user.save();
+
+      // Send reset email
+      await notify(user, "password_reset", { token: resetToken });
+
+      res.json({ message: FORGOT_PASSWORD_MESSAGE });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // Reset password
 router.post(
   "/reset-password",
+  throttleByIp("password-reset", { max: 10, windowMinutes: 60 }),
   [body("token").notEmpty(), body("password").isLength({ min: 6 })],
   async (req, res) => {
     try {
@@ -240,6 +592,10 @@ router.post(
       user.resetPasswordExpires = undefined;
       await user.save();
 
+      // Sign out every device that used the old password
+      await revokeAllSessions(user._id);
+      await clearLoginFailures(user.email);
+
       res.json({ message: "Password reset successfully" });
     } catch (error) {
       console.error(error);
@@ -266,6 +622,7 @@ router.get("/me", authenticate, async (req, res) => {
         phone: req.user.phone,
         role: req.user.role,
         isVerified: req.user.isVerified,
+        currency: req.user.currency,
       },
       hostProfile,
     });
@@ -275,6 +632,31 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
+// Update account preferences
+router.patch(
+  "/me",
+  authenticate,
+  [body("currency").optional().custom(assertSupportedCurrency)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.body.currency) {
+        req.user.currency = req.body.currency.toUpperCase();
+      }
+      await req.user.save();
+
+      res.json({ currency: req.user.currency });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Become a host
 router.post(
   "/become-host",
@@ -291,15 +673,21 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      // Check if user is already a host
+      // Check if user is already a host or has applied. Rejected or
+      // incomplete applications are resubmitted via the host API.
       const existingHost = await Host.findOne({ user: req.user.id });
       if (existingHost) {
-        return res.status(400).json({ message: "User is already a host" });
+        return res.status(400).json({
+          message: existingHost.isVerified
+            ? "User is already a host"
+            : "Host application already submitted",
+        });
       }
 
       const idImageUrls = req.files.map((file) => file.location);
 
-      // Create host profile
+      // Create host profile. The user becomes a host once an admin
+      // approves the application.
       const host = new Host({
         user: req.user.id,
         governmentId: {
@@ -307,12 +695,14 @@ router.post(
           number: req.body.governmentIdNumber,
           images: idImageUrls,
         },
+        verificationHistory: [{ status: "submitted" }],
       });
 
       await host.save();
 
-      // Update user role
-      await User.findByIdAndUpdate(req.user.id, { role: "host" });
+      await notify(req.user, "host_verification_updated", {
+        status: "submitted",
+      });
 
       res
         .status(201)
@@ -0,0 +1,59 @@
+const express = require("express");
+const Property = require("../models/Property");
+const Booking = require("../models/Booking");
+const { buildCalendar } = require("../services/icalService");
+
+const router = express.Router();
+
+// Public iCal feed of a property's confirmed bookings and host-blocked dates.
+// Blocks imported from other calendars are left out so platforms syncing
+// with each other do not echo the same dates back and forth.
+router.get("/:token.ics", async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      calendarToken: req.params.token,
+    });
+
+    if (!property) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    const now = new Date();
+
+    const bookings = await Booking.find({
+      property: property._id,
+      status: "confirmed",
+      checkOut: { $gte: now },
+    });
+
+    const events = [
+      ...bookings.map((booking) => ({
+        uid: `booking-${booking._id}@abodex`,
+        start: booking.checkIn,
+        end: booking.checkOut,
+        summary: "AbodeX booking",
+      })),
+      ...property.availability
+        .filter(
+          (range) =>
+            !range.isAvailable &&
+            range.source !== "ical" &&
+            new Date(range.endDate) >= now
+        )
+        .map((range) => ({
+          uid: `block-${range._id}@abodex`,
+          start: range.startDate,
+          end: range.endDate,
+          summary: "Not available",
+        })),
+    ];
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.send(buildCalendar(property.title, events));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -1,125 +1,447 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
-const { authenticate } = require("../middleware/auth");
+const { body, query, validationResult } = require("express-validator");
+const { authenticate, optionalAuthenticate } = require("../middleware/auth");
 const Property = require("../models/Property");
 const Booking = require("../models/Booking");
 const Review = require("../models/Review");
+const GuestReview = require("../models/GuestReview");
+const Wishlist = require("../models/Wishlist");
+const SavedSearch = require("../models/SavedSearch");
 const {
   createPaymentIntent,
   confirmPaymentIntent,
 } = require("../services/paymentService");
-const { sendBookingConfirmation } = require("../services/smsService");
+const {
+  isAvailable,
+  getNights,
+  holdDates,
+  releaseDates,
+} = require("../services/availabilityService");
+const {
+  round,
+  quoteStay,
+  getAverageNightlyRate,
+} = require("../services/pricingService");
+const {
+  confirmBookingPayment,
+  submitBookingRequest,
+  cancelBooking,
+} = require("../services/bookingService");
+const { calculateGuestRefund } = require("../services/cancellationService");
+const {
+  VISIBLE,
+  getBlindFields,
+  publishNewReview,
+} = require("../services/reviewService");
+const {
+  SEARCH_FILTER_PARAMS,
+  MAX_SEARCH_RADIUS_KM,
+  MAX_SEARCH_NIGHTS,
+  BOUNDS_FIELDS,
+  buildSearch,
+  searchFacets,
+  withConditions,
+  relevanceScore,
+} = require("../services/searchService");
+const {
+  getExchangeRates,
+  getExchangeRate,
+  assertSupportedCurrency,
+  convert,
+  convertQuote,
+  roundAmount,
+  getMinimumCharge,
+} = require("../services/currencyService");
+const { BASE_CURRENCY } = require("../config/currencies");
+const {
+  findPromoCode,
+  checkPromoCode,
+  redeemPromoCode,
+  releasePromoRedemption,
+} = require("../services/promoService");
+const {
+  ALERT_FREQUENCIES,
+  generateUnsubscribeToken,
+  scheduleNextAlert,
+} = require("../services/savedSearchService");
 
 const router = express.Router();
 
+// Guests can only see and book active listings of verified hosts
+const isListed = (property) =>
+  Boolean(property && property.isActive && property.hostVerified);
+
+// Properties in the card shape shared by search results and wishlists
+const findPropertyCards = (filter) =>
+  Property.find(filter)
+    .populate("host", "user hostTag")
+    .populate("host.user", "firstName lastName");
+
+// IDs of the given properties that the user has in any wishlist
+const getSavedPropertyIds = async (user, propertyIds) => {
+  if (!user) return new Set();
+  const wishlists = await Wishlist.find({
+    user: user._id,
+    "properties.property": { $in: propertyIds },
+  }).select("properties.property");
+  return new Set(
+    wishlists.flatMap((w) => w.properties.map((p) => p.property.toString()))
+  );
+};
+
+// Currency prices are shown in: the `currency` parameter, else the user's
+// preference, else the base currency
+const getDisplayCurrency = (req, requested = req.query.currency) =>
+  String(
+    requested || (req.user && req.user.currency) || BASE_CURRENCY
+  ).toUpperCase();
+
+// Search result orderings by `sort` query value. Prices are compared in the
+// search currency (displayPrice).
+const SEARCH_SORTS = {
+  relevance: { relevance: -1, "ratings.average": -1, _id: 1 },
+  price_asc: { displayPrice: 1, _id: 1 },
+  price_desc: { displayPrice: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  rating: { "ratings.average": -1, "ratings.count": -1, _id: 1 },
+  distance: { distance: 1, _id: 1 },
+};
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+// Checks for the search filter parameters, shared by search and saved
+// searches
+const searchFilterValidators = [
+  query(SEARCH_FILTER_PARAMS).optional().isString(),
+  query("q").optional().isLength({ max: 200 }),
+  query("currency").optional().custom(assertSupportedCurrency),
+  query("bedrooms").optional().isInt({ min: 0 }),
+  query(["checkIn", "checkOut"]).optional().isISO8601(),
+  query("checkOut")
+    .optional()
+    .custom((checkOut, { req }) => {
+      if (req.query.checkIn === undefined) return true;
+      const nights = getNights(req.query.checkIn, checkOut).length;
+      return nights > 0 && nights <= MAX_SEARCH_NIGHTS;
+    })
+    .withMessage(`Stays must be between 1 and ${MAX_SEARCH_NIGHTS} nights`),
+  query(["lat", "swLat", "neLat"]).optional().isFloat({ min: -90, max: 90 }),
+  query(["lng", "swLng", "neLng"]).optional().isFloat({ min: -180, max: 180 }),
+  query("lat")
+    .if(query("lng").exists())
+    .exists()
+    .withMessage("lat and lng must be given together"),
+  query("lng")
+    .if(query("lat").exists())
+    .exists()
+    .withMessage("lat and lng must be given together"),
+  query("radius")
+    .optional()
+    .isFloat({ min: 0.1, max: MAX_SEARCH_RADIUS_KM })
+    .custom((radius, { req }) => req.query.lat !== undefined)
+    .withMessage("radius requires lat and lng"),
+  query("swLat")
+    .custom((value, { req }) => {
+      const given = BOUNDS_FIELDS.filter((f) => req.query[f] !== undefined);
+      return given.length === 0 || given.length === BOUNDS_FIELDS.length;
+    })
+    .withMessage("Bounds need swLat, swLng, neLat and neLng"),
+];
+
 // Search properties with filters
-router.get("/properties", async (req, res) => {
-  try {
-    const {
-      location,
-      checkIn,
-      checkOut,
-      guests,
-      minPrice,
-      maxPrice,
-      amenities,
-      propertyType,
-      page = 1,
-      limit = 10,
-    } = req.query;
-
-    let filter = { isActive: true };
-
-    // Location filter (city or coordinates)
-    if (location) {
-      if (typeof location === "string") {
-        filter["address.city"] = new RegExp(location, "i");
-      } else if (location.lat && location.lng) {
-        filter["address.coordinates"] = {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: [parseFloat(location.lng), parseFloat(location.lat)],
-            },
-            $maxDistance: 10000, // 10km radius
-          },
-        };
+router.get(
+  "/properties",
+  optionalAuthenticate,
+  [
+    ...searchFilterValidators,
+    query("sort").optional().isIn(Object.keys(SEARCH_SORTS)),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+    query("facets").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
-    }
 
-    // Price filter
-    if (minPrice || maxPrice) {
-      filter.pricePerNight = {};
-      if (minPrice) filter.pricePerNight.$gte = parseInt(minPrice);
-      if (maxPrice) filter.pricePerNight.$lte = parseInt(maxPrice);
-    }
+      const { checkIn, checkOut, sort, page = 1, limit = 10 } = req.query;
+      const search = await buildSearch({
+        ...req.query,
+        currency: getDisplayCurrency(req),
+      });
+      const { currency, rates, near, maxDistance, terms } = search;
 
-    // Property type filter
-    if (propertyType) {
-      filter.type = propertyType;
-    }
+      if (sort === "distance" && !near) {
+        return res.status(400).json({
+          message: "Sorting by distance requires lat/lng or map bounds",
+        });
+      }
 
-    // Amenities filter
-    if (amenities) {
-      const amenityList = amenities.split(",");
-      filter.amenities = { $all: amenityList };
-    }
+      const facets =
+        req.query.facets === "true" ? await searchFacets(search) : undefined;
+      const filter = withConditions(
+        search.filter,
+        Object.values(search.facetConditions)
+      );
+
+      // Relevance ordering is the default for keyword searches, distance for
+      // map searches
+      const sortBy =
+        sort && (sort !== "relevance" || terms.length)
+          ? sort
+          : terms.length
+          ? "relevance"
+          : near && "distance";
 
-    // Availability filter
-    if (checkIn && checkOut) {
-      filter["availability"] = {
-        $elemMatch: {
-          startDate: { $lte: new Date(checkIn) },
-          endDate: { $gte: new Date(checkOut) },
-          isAvailable: true,
+      const pipeline = [
+        near
+          ? {
+              $geoNear: {
+                near,
+                key: "address.coordinates",
+                distanceField: "distance",
+                maxDistance,
+                query: filter,
+                spherical: true,
+              },
+            }
+          : { $match: filter },
+      ];
+      if (terms.length) {
+        pipeline.push({ $addFields: { relevance: relevanceScore(terms) } });
+      }
+      if (sortBy === "price_asc" || sortBy === "price_desc") {
+        pipeline.push({ $addFields: { displayPrice: search.price } });
+      }
+      if (sortBy) {
+        pipeline.push({ $sort: SEARCH_SORTS[sortBy] });
+      }
+      pipeline.push({
+        $facet: {
+          page: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit * 1 },
+            { $project: { _id: 1, distance: 1 } },
+          ],
+          total: [{ $count: "count" }],
         },
-      };
-    }
+      });
+
+      const [result] = await Property.aggregate(pipeline);
+      const total = result.total.length ? result.total[0].count : 0;
 
-    // Guests filter
-    if (guests) {
-      filter.maxGuests = { $gte: parseInt(guests) };
+      // Load the page as cards, keeping the aggregation's order
+      const cards = await findPropertyCards({
+        _id: { $in: result.page.map((p) => p._id) },
+      });
+      const properties = result.page
+        .map((p) => ({
+          card: cards.find((card) => card._id.equals(p._id)),
+          distance: p.distance,
+        }))
+        .filter(({ card }) => card);
+
+      const saved = await getSavedPropertyIds(
+        req.user,
+        properties.map(({ card }) => card._id)
+      );
+
+      res.json({
+        properties: properties.map(({ card: p, distance }) => {
+          const nightlyRate =
+            checkIn && checkOut && getAverageNightlyRate(p, checkIn, checkOut);
+          return {
+            ...p.toObject(),
+            // Kilometres from the search point
+            ...(near && { distance: Math.round(distance / 10) / 100 }),
+            ...(nightlyRate && { nightlyRate }),
+            displayCurrency: currency,
+            displayPricePerNight: convert(
+              p.pricePerNight,
+              rates,
+              p.currency,
+              currency
+            ),
+            ...(nightlyRate && {
+              displayNightlyRate: convert(
+                nightlyRate,
+                rates,
+                p.currency,
+                currency
+              ),
+            }),
+            ...(req.user && { isSaved: saved.has(p._id.toString()) }),
+          };
+        }),
+        currency,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+        ...(facets && { facets }),
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    const properties = await Property.find(filter)
-      .populate("host", "user hostTag")
-      .populate("host.user", "firstName lastName")
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+// Get property details, with the nightly price in the display currency
+router.get(
+  "/properties/:id",
+  optionalAuthenticate,
+  [query("currency").optional().custom(assertSupportedCurrency)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const total = await Property.countDocuments(filter);
+      const property = await Property.findById(req.params.id)
+        .populate("host", "user hostTag totalBookings")
+        .populate("host.user", "firstName lastName phone");
 
-    res.json({
-      properties,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      // The latest few reviews; the rest are paged via /reviews
+      const reviews = await Review.find({ property: property._id, ...VISIBLE })
+        .populate("guest", "firstName lastName")
+        .sort(REVIEW_SORTS.newest)
+        .limit(5);
+
+      const currency = getDisplayCurrency(req);
+      const rates = await getExchangeRates();
+
+      res.json({
+        ...property.toObject(),
+        displayCurrency: currency,
+        displayPricePerNight: convert(
+          property.pricePerNight,
+          rates,
+          property.currency,
+          currency
+        ),
+        reviews,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
-// Get property details
-router.get("/properties/:id", async (req, res) => {
-  try {
-    const property = await Property.findById(req.params.id)
-      .populate("host", "user hostTag totalBookings")
-      .populate("host.user", "firstName lastName phone")
-      .populate("reviews");
+// Get property reviews
+router.get(
+  "/properties/:id/reviews",
+  [
+    query("sort").optional().isIn(Object.keys(REVIEW_SORTS)),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (!property) {
-      return res.status(404).json({ message: "Property not found" });
+      const { sort = "newest", page = 1, limit = 10 } = req.query;
+
+      const property = await Property.findById(req.params.id).select("ratings");
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      const filter = { property: property._id, ...VISIBLE };
+
+      const reviews = await Review.find(filter)
+        .populate("guest", "firstName lastName")
+        .sort(REVIEW_SORTS[sort])
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await Review.countDocuments(filter);
+
+      res.json({
+        reviews,
+        ratings: property.ratings,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    res.json(property);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+// Get price quote for a stay, in the listing currency and, under
+// `display`, the display currency
+router.get(
+  "/properties/:id/quote",
+  optionalAuthenticate,
+  [
+    query("currency").optional().custom(assertSupportedCurrency),
+    query("checkIn").isISO8601(),
+    query("checkOut")
+      .isISO8601()
+      .custom(
+        (checkOut, { req }) => new Date(checkOut) > new Date(req.query.checkIn)
+      )
+      .withMessage("Check-out must be after check-in"),
+    query("guests").optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { checkIn, checkOut, guests } = req.query;
+
+      const property = await Property.findById(req.params.id);
+      if (!isListed(property)) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      if (guests && parseInt(guests) > property.maxGuests) {
+        return res.status(400).json({
+          message: `Property allows at most ${property.maxGuests} guests`,
+        });
+      }
+
+      const quote = quoteStay(property, checkIn, checkOut);
+
+      const currency = getDisplayCurrency(req);
+      const rate = getExchangeRate(
+        await getExchangeRates(),
+        property.currency,
+        currency
+      );
+
+      res.json({
+        ...quote,
+        currency: property.currency,
+        ...(rate !== null && { display: convertQuote(quote, rate, currency) }),
+        available: await isAvailable(property, checkIn, checkOut),
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // Create booking
 router.post(
@@ -128,8 +450,15 @@ router.post(
   [
     body("propertyId").isMongoId(),
     body("checkIn").isISO8601(),
-    body("checkOut").isISO8601(),
+    body("checkOut")
+      .isISO8601()
+      .custom(
+        (checkOut, { req }) => new Date(checkOut) > new Date(req.body.checkIn)
+      )
+      .withMessage("Check-out must be after check-in"),
     body("guestsCount").isInt({ min: 1 }),
+    body("promoCode").optional().isString().trim().notEmpty(),
+    body("currency").optional().custom(assertSupportedCurrency),
   ],
   async (req, res) => {
     try {
@@ -141,68 +470,138 @@ router.post(
       const { propertyId, checkIn, checkOut, guestsCount, specialRequests } =
         req.body;
 
-      // Check property availability
       const property = await Property.findById(propertyId);
-      if (!property) {
+      if (!isListed(property)) {
         return res.status(404).json({ message: "Property not found" });
       }
 
-      // Calculate total amount
-      const nights = Math.ceil(
-        (new Date(checkOut) - new Date(checkIn)) / (1000 * 60 * 60 * 24)
+      if (guestsCount > property.maxGuests) {
+        return res.status(400).json({
+          message: `Property allows at most ${property.maxGuests} guests`,
+        });
+      }
+
+      // The guest pays in their display currency, converted from the
+      // listing currency at today's rate
+      const rates = await getExchangeRates();
+      const chargeCurrency = getDisplayCurrency(req, req.body.currency);
+      const exchangeRate = getExchangeRate(
+        rates,
+        property.currency,
+        chargeCurrency
       );
-      let totalAmount = nights * property.pricePerNight;
-
-      // Apply discounts if available
-      let discountAmount = 0;
-      const applicableDiscounts = property.discounts.filter(
-        (d) =>
-          new Date(d.validFrom) <= new Date(checkIn) &&
-          new Date(d.validUntil) >= new Date(checkOut) &&
-          (!d.minNights || nights >= d.minNights)
+      const baseExchangeRate = getExchangeRate(
+        rates,
+        property.currency,
+        BASE_CURRENCY
       );
+      if (exchangeRate === null || baseExchangeRate === null) {
+        return res.status(400).json({
+          message: `Bookings in ${property.currency} are not available right now`,
+        });
+      }
 
-      if (applicableDiscounts.length > 0) {
-        const bestDiscount = applicableDiscounts.reduce((prev, current) =>
-          (current.discountType === "percentage"
-            ? (totalAmount * current.value) / 100
-            : current.value) >
-          (prev.discountType === "percentage"
-            ? (totalAmount * prev.value) / 100
-            : prev.value)
-            ? current
-            : prev
-        );
+      // Price the stay exactly as the quote endpoint does
+      const quote = quoteStay(property, checkIn, checkOut);
+      const discountAmount = quote.discountAmount;
 
-        discountAmount =
-          bestDiscount.discountType === "percentage"
-            ? (totalAmount * bestDiscount.value) / 100
-            : bestDiscount.value;
+      // A platform promo code comes off the quoted total
+      let promoCode = null;
+      let promoDiscount = 0;
+      if (req.body.promoCode) {
+        promoCode = await findPromoCode(req.body.promoCode);
+        if (!promoCode) {
+          return res.status(400).json({ message: "Promo code not found" });
+        }
 
-        totalAmount -= discountAmount;
+        const promo = await checkPromoCode(promoCode, {
+          userId: req.user.id,
+          property,
+          total: quote.total,
+          baseExchangeRate,
+          minimumCharge: getMinimumCharge(
+            rates,
+            chargeCurrency,
+            property.currency
+          ),
+        });
+        if (promo.error) {
+          return res.status(400).json({ message: promo.error });
+        }
+        promoDiscount = promo.discount;
       }
+      const totalAmount = round(quote.total - promoDiscount);
 
-      // Create payment intent
-      const paymentIntent = await createPaymentIntent(totalAmount, "usd", {
-        userId: req.user.id,
-        propertyId,
-        checkIn,
-        checkOut,
-      });
-
-      // Create booking
       const booking = new Booking({
         guest: req.user.id,
         property: propertyId,
         checkIn,
         checkOut,
         guestsCount,
+        currency: property.currency,
         totalAmount,
+        chargeCurrency,
+        chargeAmount: roundAmount(totalAmount * exchangeRate, chargeCurrency),
+        exchangeRate,
+        baseExchangeRate,
         discountAmount,
+        bookingMode: property.bookingMode,
+        promoCode: promoCode && promoCode._id,
+        promoDiscount,
+        priceBreakdown: promoCode
+          ? {
+              ...quote,
+              promo: { code: promoCode.code, amount: promoDiscount },
+              total: totalAmount,
+            }
+          : quote,
         specialRequests,
-        paymentIntentId: paymentIntent.id,
       });
 
+      // Hold the dates while the guest pays
+      const holdExpiresAt = await holdDates(
+        property,
+        booking._id,
+        checkIn,
+        checkOut
+      );
+      if (!holdExpiresAt) {
+        return res
+          .status(409)
+          .json({ message: "Property is not available for these dates" });
+      }
+
+      if (promoCode && !(await redeemPromoCode(promoCode, booking))) {
+        await releaseDates(booking._id);
+        return res
+          .status(400)
+          .json({ message: "Promo code has reached its redemption limit" });
+      }
+
+      // Create payment intent. Booking requests only authorize the card
+      // until the host accepts.
+      let paymentIntent;
+      try {
+        paymentIntent = await createPaymentIntent(
+          booking.chargeAmount,
+          chargeCurrency,
+          {
+            userId: req.user.id,
+            propertyId,
+            bookingId: booking._id.toString(),
+            checkIn,
+            checkOut,
+          },
+          { manualCapture: booking.bookingMode === "request" }
+        );
+      } catch (paymentError) {
+        await releaseDates(booking._id);
+        await releasePromoRedemption(booking);
+        throw paymentError;
+      }
+
+      booking.paymentIntentId = paymentIntent.id;
+      booking.holdExpiresAt = holdExpiresAt;
       await booking.save();
 
       res.json({
@@ -225,39 +624,51 @@ router.post("/bookings/:id/confirm", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Booking not found" });
     }
 
+    if (booking.status !== "pending") {
+      return res
+        .status(400)
+        .json({ message: `Booking is already ${booking.status}` });
+    }
+
     const paymentIntent = await confirmPaymentIntent(booking.paymentIntentId);
 
-    if (paymentIntent.status === "succeeded") {
-      booking.status = "confirmed";
-      booking.paymentStatus = "paid";
-      booking.transactionId = paymentIntent.id;
+    // The card is authorized; the host now has to accept the request
+    if (
+      paymentIntent.status === "requires_capture" &&
+      booking.bookingMode === "request"
+    ) {
+      const { booking: updated, reserved } = await submitBookingRequest(
+        booking,
+        paymentIntent
+      );
 
-      await booking.save();
+      if (!reserved) {
+        return res.status(409).json({
+          message: "Property is no longer available for these dates",
+          booking: updated,
+        });
+      }
 
-      // Update property availability
-      await Property.findByIdAndUpdate(booking.property._id, {
-        $push: {
-          availability: {
-            startDate: booking.checkIn,
-            endDate: booking.checkOut,
-            isAvailable: false,
-          },
-        },
+      return res.json({
+        message: "Booking request sent to the host",
+        booking: updated,
       });
+    }
 
-      // Send confirmation SMS
-      try {
-        await sendBookingConfirmation(req.user.phone, {
-          propertyTitle: booking.property.title,
-          checkIn: booking.checkIn,
-          checkOut: booking.checkOut,
-          totalAmount: booking.totalAmount,
+    if (paymentIntent.status === "succeeded") {
+      const { booking: updated, reserved } = await confirmBookingPayment(
+        booking,
+        paymentIntent
+      );
+
+      if (!reserved) {
+        return res.status(409).json({
+          message: "Property is no longer available for these dates",
+          booking: updated,
         });
-      } catch (smsError) {
-        console.error("SMS sending failed:", smsError);
       }
 
-      res.json({ message: "Booking confirmed successfully", booking });
+      res.json({ message: "Booking confirmed successfully", booking: updated });
     } else {
       res.status(400).json({ message: "Payment failed" });
     }
@@ -267,6 +678,67 @@ router.post("/bookings/:id/confirm", authenticate, async (req, res) => {
   }
 });
 
+// Cancel booking
+router.post(
+  "/bookings/:id/cancel",
+  authenticate,
+  [body("reason").optional().isString().trim()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const booking = await Booking.findById(req.params.id).populate(
+        "property"
+      );
+
+      if (!booking || booking.guest.toString() !== req.user.id) {
+        return res.status(404).json({ message: "Booking not found" });
+      }
+
+      if (!["pending", "requested", "confirmed"].includes(booking.status)) {
+        return res
+          .status(400)
+          .json({ message: `Booking is already ${booking.status}` });
+      }
+
+      if (new Date(booking.checkIn) <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: "Bookings cannot be cancelled after check-in" });
+      }
+
+      const refundAmount = calculateGuestRefund(
+        booking,
+        booking.property.cancellationPolicy
+      );
+
+      const cancelled = await cancelBooking(booking, {
+        refundAmount,
+        reason: req.body.reason || "Cancelled by guest",
+        cancelledBy: "guest",
+      });
+
+      if (!cancelled) {
+        return res
+          .status(409)
+          .json({ message: "Booking can no longer be cancelled" });
+      }
+
+      res.json({
+        message: "Booking cancelled successfully",
+        booking: cancelled,
+        refundAmount,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Add review
 router.post(
   "/reviews",
@@ -312,10 +784,105 @@ router.post(
         booking: bookingId,
         rating,
         comment,
+        ...getBlindFields(booking),
       });
 
       await review.save();
-      res.status(201).json(review);
+      await publishNewReview(review);
+
+      res.status(201).json(await Review.findById(review._id));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get reviews hosts have written about the signed-in guest
+router.get("/reviews/received", authenticate, async (req, res) => {
+  try {
+    const reviews = await GuestReview.find({ guest: req.user.id, ...VISIBLE })
+      .populate("property", "title")
+      .sort({ createdAt: -1 });
+
+    res.json(reviews);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+const wishlistSummary = (wishlist) => ({
+  _id: wishlist._id,
+  name: wishlist.name,
+  propertyCount: wishlist.properties.length,
+  createdAt: wishlist.createdAt,
+  updatedAt: wishlist.updatedAt,
+});
+
+const findUserWishlist = (req) =>
+  Wishlist.findOne({ _id: req.params.id, user: req.user.id });
+
+// Get wishlists
+router.get("/wishlists", authenticate, async (req, res) => {
+  try {
+    const wishlists = await Wishlist.find({ user: req.user.id }).sort({
+      updatedAt: -1,
+    });
+
+    // First image of the most recently saved property, as a cover
+    const covers = await Property.find({
+      _id: {
+        $in: wishlists
+          .filter((w) => w.properties.length)
+          .map((w) => w.properties[w.properties.length - 1].property),
+      },
+    }).select("images");
+
+    res.json(
+      wishlists.map((wishlist) => {
+        const latest = wishlist.properties[wishlist.properties.length - 1];
+        const cover =
+          latest && covers.find((p) => p._id.equals(latest.property));
+        return {
+          ...wishlistSummary(wishlist),
+          coverImage: cover && cover.images.length ? cover.images[0] : null,
+        };
+      })
+    );
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Create wishlist, optionally saving a first property to it
+router.post(
+  "/wishlists",
+  authenticate,
+  [
+    body("name").trim().isLength({ min: 1, max: 50 }),
+    body("propertyId").optional().isMongoId(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const wishlist = new Wishlist({ user: req.user.id, name: req.body.name });
+
+      if (req.body.propertyId) {
+        const property = await Property.findById(req.body.propertyId);
+        if (!isListed(property)) {
+          return res.status(404).json({ message: "Property not found" });
+        }
+        wishlist.properties.push({ property: property._id });
+      }
+
+      await wishlist.save();
+      res.status(201).json(wishlistSummary(wishlist));
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: "Server error" });
@@ -323,4 +890,343 @@ router.post(
   }
 );
 
+// Get wishlist with its properties, most recently saved first. Properties
+// that are no longer bookable stay in the list, flagged as unavailable.
+router.get("/wishlists/:id", authenticate, async (req, res) => {
+  try {
+    const wishlist = await findUserWishlist(req);
+    if (!wishlist) {
+      return res.status(404).json({ message: "Wishlist not found" });
+    }
+
+    const entries = [...wishlist.properties].reverse();
+    const properties = await findPropertyCards({
+      _id: { $in: entries.map((entry) => entry.property) },
+    });
+
+    res.json({
+      ...wishlistSummary(wishlist),
+      properties: entries.map((entry) => {
+        const property = properties.find((p) => p._id.equals(entry.property));
+
+        // Deleted by its host
+        if (!property) {
+          return {
+            _id: entry.property,
+            addedAt: entry.addedAt,
+            unavailable: true,
+          };
+        }
+
+        return {
+          ...property.toObject(),
+          addedAt: entry.addedAt,
+          isSaved: true,
+          unavailable: !isListed(property),
+        };
+      }),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Rename wishlist
+router.patch(
+  "/wishlists/:id",
+  authenticate,
+  [body("name").trim().isLength({ min: 1, max: 50 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const wishlist = await findUserWishlist(req);
+      if (!wishlist) {
+        return res.status(404).json({ message: "Wishlist not found" });
+      }
+
+      wishlist.name = req.body.name;
+      wishlist.updatedAt = new Date();
+      await wishlist.save();
+
+      res.json(wishlistSummary(wishlist));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete wishlist
+router.delete("/wishlists/:id", authenticate, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+    if (!wishlist) {
+      return res.status(404).json({ message: "Wishlist not found" });
+    }
+
+    res.json({ message: "Wishlist deleted" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Save a property to a wishlist
+router.post(
+  "/wishlists/:id/properties",
+  authenticate,
+  [body("propertyId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const wishlist = await findUserWishlist(req);
+      if (!wishlist) {
+        return res.status(404).json({ message: "Wishlist not found" });
+      }
+
+      const property = await Property.findById(req.body.propertyId);
+      if (!isListed(property)) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      // Saving twice is a no-op
+      await Wishlist.updateOne(
+        { _id: wishlist._id, "properties.property": { $ne: property._id } },
+        {
+          $push: { properties: { property: property._id } },
+          updatedAt: new Date(),
+        }
+      );
+
+      res.json(wishlistSummary(await Wishlist.findById(wishlist._id)));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove a property from a wishlist
+router.delete(
+  "/wishlists/:id/properties/:propertyId",
+  authenticate,
+  async (req, res) => {
+    try {
+      const wishlist = await Wishlist.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.id },
+        {
+          $pull: { properties: { property: req.params.propertyId } },
+          updatedAt: new Date(),
+        },
+        { new: true }
+      );
+      if (!wishlist) {
+        return res.status(404).json({ message: "Wishlist not found" });
+      }
+
+      res.json(wishlistSummary(wishlist));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+const MAX_SAVED_SEARCHES = 20;
+
+const savedSearchResponse = (savedSearch) => ({
+  _id: savedSearch._id,
+  name: savedSearch.name,
+  params: Object.fromEntries(savedSearch.params),
+  alertsEnabled: savedSearch.alertsEnabled,
+  frequency: savedSearch.frequency,
+  channel: savedSearch.channel,
+  nextAlertAt: savedSearch.alertsEnabled ? savedSearch.nextAlertAt : null,
+  createdAt: savedSearch.createdAt,
+  updatedAt: savedSearch.updatedAt,
+});
+
+const savedSearchAlertValidators = [
+  body("frequency").optional().isIn(ALERT_FREQUENCIES),
+  body("channel").optional().isIn(["email", "sms"]),
+  body("channel")
+    .optional()
+    .custom((channel, { req }) => channel !== "sms" || Boolean(req.user.phone))
+    .withMessage("Add a phone number to your profile to get SMS alerts"),
+];
+
+// Get saved searches
+router.get("/saved-searches", authenticate, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id }).sort({
+      createdAt: -1,
+    });
+
+    res.json(savedSearches.map(savedSearchResponse));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Save a search. The query string takes the same filters as GET
+// /properties; sorting and paging are not saved.
+router.post(
+  "/saved-searches",
+  authenticate,
+  [
+    ...searchFilterValidators,
+    body("name").trim().isLength({ min: 1, max: 50 }),
+    ...savedSearchAlertValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const params = Object.fromEntries(
+        SEARCH_FILTER_PARAMS.filter((param) => req.query[param]).map(
+          (param) => [param, req.query[param]]
+        )
+      );
+      if (!Object.keys(params).length) {
+        return res
+          .status(400)
+          .json({ message: "Choose at least one search filter to save" });
+      }
+
+      const count = await SavedSearch.countDocuments({ user: req.user.id });
+      if (count >= MAX_SAVED_SEARCHES) {
+        return res.status(400).json({
+          message: `You can save up to ${MAX_SAVED_SEARCHES} searches`,
+        });
+      }
+
+      const savedSearch = new SavedSearch({
+        user: req.user.id,
+        name: req.body.name,
+        params,
+        frequency: req.body.frequency,
+        channel: req.body.channel,
+        unsubscribeToken: generateUnsubscribeToken(),
+      });
+      scheduleNextAlert(savedSearch);
+      await savedSearch.save();
+
+      res.status(201).json(savedSearchResponse(savedSearch));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Turn off alerts from the link in an alert. Needs no login, the token
+// identifies the search.
+router.get(
+  "/saved-searches/unsubscribe",
+  [query("token").isHexadecimal()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const savedSearch = await SavedSearch.findOneAndUpdate(
+        { unsubscribeToken: req.query.token },
+        { alertsEnabled: false, updatedAt: new Date() }
+      );
+      if (!savedSearch) {
+        return res.status(404).json({ message: "Saved search not found" });
+      }
+
+      res.json({ message: `Alerts for "${savedSearch.name}" turned off` });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Rename a saved search or change its alerts
+router.patch(
+  "/saved-searches/:id",
+  authenticate,
+  [
+    body("name").optional().trim().isLength({ min: 1, max: 50 }),
+    body("alertsEnabled").optional().isBoolean(),
+    ...savedSearchAlertValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const savedSearch = await SavedSearch.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+      });
+      if (!savedSearch) {
+        return res.status(404).json({ message: "Saved search not found" });
+      }
+
+      const { name, alertsEnabled, frequency, channel } = req.body;
+      if (name !== undefined) savedSearch.name = name;
+      if (channel) savedSearch.channel = channel;
+      if (frequency) savedSearch.frequency = frequency;
+      if (alertsEnabled !== undefined) {
+        savedSearch.alertsEnabled = String(alertsEnabled) === "true";
+        // Only places listed from now on are news after turning alerts
+        // back on
+        if (savedSearch.alertsEnabled) savedSearch.lastAlertAt = new Date();
+      }
+      if (frequency || alertsEnabled !== undefined) {
+        scheduleNextAlert(savedSearch, savedSearch.lastAlertAt);
+      }
+      savedSearch.updatedAt = new Date();
+      await savedSearch.save();
+
+      res.json(savedSearchResponse(savedSearch));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete saved search
+router.delete("/saved-searches/:id", authenticate, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+    if (!savedSearch) {
+      return res.status(404).json({ message: "Saved search not found" });
+    }
+
+    res.json({ message: "Saved search deleted" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
@@ -1,14 +1,149 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const { authenticateHost } = require("../middleware/auth");
+const { authenticate, authenticateHost } = require("../middleware/auth");
+const crypto = require("crypto");
 const upload = require("../config/s3Config");
+const calendarUpload = require("../config/calendarUpload");
 const Property = require("../models/Property");
 const Host = require("../models/Host");
 const Booking = require("../models/Booking");
 const Review = require("../models/Review");
+const GuestReview = require("../models/GuestReview");
+const LedgerEntry = require("../models/LedgerEntry");
+const Payout = require("../models/Payout");
+const {
+  confirmDates,
+  releaseDates,
+  toNight,
+} = require("../services/availabilityService");
+const {
+  acceptBookingRequest,
+  cancelBooking,
+  closeBookingRequest,
+  completeBooking,
+} = require("../services/bookingService");
+const { getHostBalance } = require("../services/ledgerService");
+const { assertSupportedCurrency } = require("../services/currencyService");
+const {
+  VISIBLE,
+  getBlindFields,
+  getGuestSummaries,
+  publishNewReview,
+} = require("../services/reviewService");
+const {
+  canResubmit,
+  setVerificationStatus,
+} = require("../services/hostVerificationService");
+const {
+  getRefundableBalance,
+  POLICY_NAMES,
+} = require("../services/cancellationService");
+const {
+  assertPublicCalendarUrl,
+  parseCalendar,
+  replaceImportedBlocks,
+  syncExternalCalendar,
+  withManualRanges,
+} = require("../services/icalService");
 
 const router = express.Router();
 
+// Find a property owned by the authenticated host
+const findHostProperty = async (userId, propertyId, select) => {
+  const host = await Host.findOne({ user: userId });
+  if (!host) return null;
+  return Property.findOne({ _id: propertyId, host: host._id }).select(select);
+};
+
+const CALENDAR_FIELDS = "+calendarToken +externalCalendars";
+
+const calendarResponse = (req, property) => ({
+  exportUrl: property.calendarToken
+    ? `${req.protocol}://${req.get("host")}/api/calendar/${
+        property.calendarToken
+      }.ics`
+    : null,
+  externalCalendars: property.externalCalendars,
+  blockedRanges: property.availability.filter((range) => !range.isAvailable),
+});
+
+// Property fields a host may set directly. Everything else (ratings,
+// hostVerified, listedAt, calendar settings, ...) is maintained by the
+// server, and availability is merged with imported calendar blocks.
+const EDITABLE_PROPERTY_FIELDS = [
+  "title",
+  "description",
+  "type",
+  "address",
+  "amenities",
+  "currency",
+  "pricePerNight",
+  "cleaningFee",
+  "maxGuests",
+  "bedrooms",
+  "bathrooms",
+  "discounts",
+  "cancellationPolicy",
+  "bookingMode",
+  "isActive",
+];
+
+const pickEditableFields = (body) =>
+  Object.fromEntries(
+    EDITABLE_PROPERTY_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// GeoJSON point for the { lat, lng } coordinates sent with a property (as
+// form fields or a JSON string), or null if they are malformed or out of
+// range
+const toGeoPoint = (coordinates) => {
+  let parsed = coordinates;
+  if (typeof coordinates === "string") {
+    try {
+      parsed = JSON.parse(coordinates);
+    } catch (error) {
+      return null;
+    }
+  }
+  const latitude = parseFloat(parsed && parsed.lat);
+  const longitude = parseFloat(parsed && parsed.lng);
+
+  if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+    return null;
+  }
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+// Manual availability ranges are sent as a JSON array
+const availabilityValidator = () =>
+  body("availability")
+    .optional({ values: "falsy" })
+    .custom((availability) => Array.isArray(JSON.parse(availability)))
+    .withMessage("availability must be a JSON array of ranges");
+
+const coordinatesValidator = () =>
+  body("coordinates")
+    .optional({ values: "falsy" })
+    .custom((coordinates) => toGeoPoint(coordinates) !== null)
+    .withMessage(
+      "coordinates need a lat between -90 and 90 and a lng between -180 and 180"
+    );
+
+// Statuses a host may move a booking to from each status. Anything else
+// (e.g. reviving a cancelled booking) would bypass the reserved nights.
+const HOST_BOOKING_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  requested: ["confirmed", "declined", "cancelled"],
+  confirmed: ["cancelled", "completed"],
+};
+
+const rateRulesResponse = (property) => ({
+  pricePerNight: property.pricePerNight,
+  rateRules: property.rateRules,
+});
+
 // Get host dashboard
 router.get("/dashboard", authenticateHost, async (req, res) => {
   try {
@@ -26,10 +161,7 @@ router.get("/dashboard", authenticateHost, async (req, res) => {
       property: { $in: properties.map((p) => p._id) },
     }).populate("guest", "firstName lastName");
 
-    const totalEarnings = bookings.reduce(
-      (sum, booking) => sum + booking.totalAmount,
-      0
-    );
+    const { earnings: totalEarnings } = await getHostBalance(host._id);
     const upcomingBookings = bookings.filter(
       (b) => new Date(b.checkIn) > new Date()
     );
@@ -48,6 +180,82 @@ router.get("/dashboard", authenticateHost, async (req, res) => {
   }
 });
 
+const verificationResponse = (host) => ({
+  verificationStatus: host.verificationStatus,
+  isVerified: host.isVerified,
+  verificationDate: host.verificationDate,
+  governmentId: host.governmentId,
+  history: host.verificationHistory.map((entry) => ({
+    status: entry.status,
+    note: entry.note,
+    createdAt: entry.createdAt,
+  })),
+});
+
+// Get host application status. Open to applicants who are not hosts yet.
+router.get("/verification", authenticate, async (req, res) => {
+  try {
+    const host = await Host.findOne({ user: req.user.id });
+    if (!host) {
+      return res.status(404).json({ message: "Host profile not found" });
+    }
+
+    res.json(verificationResponse(host));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Resubmit verification documents after a rejection or a request for more
+// information
+router.post(
+  "/verification/resubmit",
+  authenticate,
+  upload.array("idImages", 2),
+  [
+    body("governmentIdType").isIn(["passport", "driving_license"]),
+    body("governmentIdNumber").notEmpty(),
+    body("note").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const host = await Host.findOne({ user: req.user.id });
+      if (!host) {
+        return res.status(404).json({ message: "Host profile not found" });
+      }
+
+      if (!canResubmit(host)) {
+        return res.status(400).json({
+          message: `Documents cannot be resubmitted while the application is ${host.verificationStatus}`,
+        });
+      }
+
+      const idImageUrls = (req.files || []).map((file) => file.location);
+      host.governmentId = {
+        type: req.body.governmentIdType,
+        number: req.body.governmentIdNumber,
+        images: idImageUrls.length ? idImageUrls : host.governmentId.images,
+      };
+
+      await setVerificationStatus(host, "submitted", { note: req.body.note });
+
+      res.json({
+        message: "Host application resubmitted successfully",
+        ...verificationResponse(host),
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Create property
 router.post(
   "/properties",
@@ -58,9 +266,15 @@ router.post(
     body("description").notEmpty(),
     body("type").isIn(["apartment", "house", "room", "villa", "cottage"]),
     body("pricePerNight").isNumeric(),
+    body("currency").optional().custom(assertSupportedCurrency),
+    body("cleaningFee").optional().isFloat({ min: 0 }),
     body("maxGuests").isInt({ min: 1 }),
     body("bedrooms").isInt({ min: 0 }),
     body("bathrooms").isInt({ min: 0 }),
+    body("cancellationPolicy").optional().isIn(POLICY_NAMES),
+    body("bookingMode").optional().isIn(["instant", "request"]),
+    availabilityValidator(),
+    coordinatesValidator(),
   ],
   async (req, res) => {
     try {
@@ -77,20 +291,21 @@ router.post(
       const imageUrls = req.files.map((file) => file.location);
 
       const property = new Property({
+        ...pickEditableFields(req.body),
         host: host._id,
-        ...req.body,
+        hostVerified: host.isVerified,
         images: imageUrls,
         address: {
           ...req.body.address,
           coordinates: req.body.coordinates
-            ? [
-                parseFloat(req.body.coordinates.lng),
-                parseFloat(req.body.coordinates.lat),
-              ]
+            ? toGeoPoint(req.body.coordinates)
             : undefined,
         },
         amenities: JSON.parse(req.body.amenities || "[]"),
-        availability: JSON.parse(req.body.availability || "[]"),
+        availability: withManualRanges(
+          [],
+          JSON.parse(req.body.availability || "[]")
+        ),
       });
 
       await property.save();
@@ -107,8 +322,20 @@ router.put(
   "/properties/:id",
   authenticateHost,
   upload.array("images", 10),
+  [
+    body("cancellationPolicy").optional().isIn(POLICY_NAMES),
+    body("currency").optional().custom(assertSupportedCurrency),
+    body("bookingMode").optional().isIn(["instant", "request"]),
+    availabilityValidator(),
+    coordinatesValidator(),
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const host = await Host.findOne({ user: req.user.id });
       const property = await Property.findOne({
         _id: req.params.id,
@@ -119,26 +346,43 @@ router.put(
         return res.status(404).json({ message: "Property not found" });
       }
 
+      const update = pickEditableFields(req.body);
+
       // Handle new images if uploaded
       if (req.files && req.files.length > 0) {
         const newImageUrls = req.files.map((file) => file.location);
-        req.body.images = [...property.images, ...newImageUrls];
+        update.images = [...property.images, ...newImageUrls];
       }
 
       // Parse JSON fields if they exist
-      if (req.body.amenities) {
-        req.body.amenities = JSON.parse(req.body.amenities);
+      if (update.amenities) {
+        update.amenities = JSON.parse(update.amenities);
       }
       if (req.body.availability) {
-        req.body.availability = JSON.parse(req.body.availability);
+        update.availability = withManualRanges(
+          property.availability,
+          JSON.parse(req.body.availability)
+        );
       }
-      if (req.body.discounts) {
-        req.body.discounts = JSON.parse(req.body.discounts);
+      if (update.discounts) {
+        update.discounts = JSON.parse(update.discounts);
+      }
+      // A new address keeps the current location unless coordinates are sent
+      if (update.address || req.body.coordinates) {
+        update.address = {
+          ...(update.address || property.address.toObject()),
+          coordinates: req.body.coordinates
+            ? toGeoPoint(req.body.coordinates)
+            : property.address.coordinates,
+        };
+      }
+      if (String(update.isActive) === "true" && !property.isActive) {
+        update.listedAt = new Date();
       }
 
       const updatedProperty = await Property.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        update,
         { new: true, runValidators: true }
       );
 
@@ -150,6 +394,419 @@ router.put(
   }
 );
 
+// Get property rate rules
+router.get("/properties/:id/rates", authenticateHost, async (req, res) => {
+  try {
+    const property = await findHostProperty(req.user.id, req.params.id);
+    if (!property) {
+      return res.status(404).json({ message: "Property not found" });
+    }
+
+    res.json(rateRulesResponse(property));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update weekend pricing
+router.put(
+  "/properties/:id/rates",
+  authenticateHost,
+  [
+    body("weekendPrice").optional({ values: "null" }).isFloat({ min: 0 }),
+    body("weekendDays").optional().isArray(),
+    body("weekendDays.*").isInt({ min: 0, max: 6 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const property = await findHostProperty(req.user.id, req.params.id);
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      if (req.body.weekendPrice !== undefined) {
+        property.rateRules.weekendPrice = req.body.weekendPrice ?? undefined;
+      }
+      if (req.body.weekendDays) {
+        property.rateRules.weekendDays = req.body.weekendDays;
+      }
+
+      await property.save();
+      res.json(rateRulesResponse(property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Add seasonal rate
+router.post(
+  "/properties/:id/rates/seasons",
+  authenticateHost,
+  [
+    body("name").optional().isString().trim(),
+    body("startDate").isISO8601(),
+    body("endDate")
+      .isISO8601()
+      .custom(
+        (endDate, { req }) => new Date(endDate) >= new Date(req.body.startDate)
+      )
+      .withMessage("End date must not be before start date"),
+    body("pricePerNight").isFloat({ min: 0 }),
+    body("weekendPrice").optional().isFloat({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const property = await findHostProperty(req.user.id, req.params.id);
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      const { name, startDate, endDate, pricePerNight, weekendPrice } =
+        req.body;
+
+      const overlapping = property.rateRules.seasons.find(
+        (s) =>
+          new Date(s.startDate) <= new Date(endDate) &&
+          new Date(s.endDate) >= new Date(startDate)
+      );
+      if (overlapping) {
+        return res.status(400).json({
+          message: `Season overlaps with ${
+            overlapping.name || "an existing season"
+          }`,
+        });
+      }
+
+      property.rateRules.seasons.push({
+        name,
+        startDate,
+        endDate,
+        pricePerNight,
+        weekendPrice,
+      });
+
+      await property.save();
+      res.status(201).json(rateRulesResponse(property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove seasonal rate
+router.delete(
+  "/properties/:id/rates/seasons/:seasonId",
+  authenticateHost,
+  async (req, res) => {
+    try {
+      const property = await findHostProperty(req.user.id, req.params.id);
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      const season = property.rateRules.seasons.id(req.params.seasonId);
+      if (!season) {
+        return res.status(404).json({ message: "Season not found" });
+      }
+
+      season.deleteOne();
+      await property.save();
+      res.json(rateRulesResponse(property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Set per-date price overrides
+router.put(
+  "/properties/:id/rates/overrides",
+  authenticateHost,
+  [
+    body("overrides").isArray({ min: 1 }),
+    body("overrides.*.date").isISO8601(),
+    body("overrides.*.pricePerNight").isFloat({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const property = await findHostProperty(req.user.id, req.params.id);
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      // Replace any existing override for the same date
+      req.body.overrides.forEach(({ date, pricePerNight }) => {
+        const night = toNight(date);
+        const existing = property.rateRules.overrides.find(
+          (o) => toNight(o.date).getTime() === night.getTime()
+        );
+        if (existing) {
+          existing.pricePerNight = pricePerNight;
+        } else {
+          property.rateRules.overrides.push({ date: night, pricePerNight });
+        }
+      });
+
+      await property.save();
+      res.json(rateRulesResponse(property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove a per-date price override
+router.delete(
+  "/properties/:id/rates/overrides/:date",
+  authenticateHost,
+  async (req, res) => {
+    try {
+      const property = await findHostProperty(req.user.id, req.params.id);
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      const night = toNight(req.params.date);
+      const override = property.rateRules.overrides.find(
+        (o) => toNight(o.date).getTime() === night.getTime()
+      );
+      if (!override) {
+        return res.status(404).json({ message: "Override not found" });
+      }
+
+      override.deleteOne();
+      await property.save();
+      res.json(rateRulesResponse(property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get calendar sync settings
+router.get("/properties/:id/calendar", authenticateHost, async (req, res) => {
+  try {
+    const property = await findHostProperty(
+      req.user.id,
+      req.params.id,
+      CALENDAR_FIELDS
+    );
+    if (!property) {
+      return res.status(404).json({ message: "Property not found" });
+    }
+
+    res.json(calendarResponse(req, property));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Create or rotate the secret iCal export URL
+router.post(
+  "/properties/:id/calendar/export",
+  authenticateHost,
+  async (req, res) => {
+    try {
+      const property = await findHostProperty(
+        req.user.id,
+        req.params.id,
+        CALENDAR_FIELDS
+      );
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      property.calendarToken = crypto.randomBytes(24).toString("hex");
+      await property.save();
+
+      res.json(calendarResponse(req, property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Register an external iCal URL and import it
+router.post(
+  "/properties/:id/calendar/imports",
+  authenticateHost,
+  [
+    body("name").notEmpty().trim(),
+    body("url")
+      .isURL({ protocols: ["http", "https", "webcal"] })
+      .bail()
+      .custom(assertPublicCalendarUrl),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const property = await findHostProperty(
+        req.user.id,
+        req.params.id,
+        CALENDAR_FIELDS
+      );
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      property.externalCalendars.push({
+        name: req.body.name,
+        url: req.body.url,
+      });
+      const calendar = property.externalCalendars.at(-1);
+      await syncExternalCalendar(property, calendar);
+
+      await property.save();
+      res.status(201).json(calendarResponse(req, property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Import an uploaded .ics file. Uploading again under the same name
+// replaces that file's blocks.
+router.post(
+  "/properties/:id/calendar/imports/upload",
+  authenticateHost,
+  calendarUpload.single("calendar"),
+  [body("name").notEmpty().trim()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: "Calendar file is required" });
+      }
+
+      const property = await findHostProperty(
+        req.user.id,
+        req.params.id,
+        CALENDAR_FIELDS
+      );
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      let ranges;
+      try {
+        ranges = parseCalendar(req.file.buffer.toString("utf8"));
+      } catch (parseError) {
+        return res.status(400).json({ message: parseError.message });
+      }
+
+      let calendar = property.externalCalendars.find(
+        (c) => !c.url && c.name === req.body.name
+      );
+      if (!calendar) {
+        property.externalCalendars.push({ name: req.body.name });
+        calendar = property.externalCalendars.at(-1);
+      }
+
+      replaceImportedBlocks(property, calendar._id, ranges);
+      calendar.lastSyncedAt = new Date();
+
+      await property.save();
+      res.status(201).json(calendarResponse(req, property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Re-import all external iCal URLs
+router.post(
+  "/properties/:id/calendar/refresh",
+  authenticateHost,
+  async (req, res) => {
+    try {
+      const property = await findHostProperty(
+        req.user.id,
+        req.params.id,
+        CALENDAR_FIELDS
+      );
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      for (const calendar of property.externalCalendars) {
+        await syncExternalCalendar(property, calendar);
+      }
+
+      await property.save();
+      res.json(calendarResponse(req, property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove an external calendar and the dates it blocked
+router.delete(
+  "/properties/:id/calendar/imports/:calendarId",
+  authenticateHost,
+  async (req, res) => {
+    try {
+      const property = await findHostProperty(
+        req.user.id,
+        req.params.id,
+        CALENDAR_FIELDS
+      );
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      const calendar = property.externalCalendars.id(req.params.calendarId);
+      if (!calendar) {
+        return res.status(404).json({ message: "Calendar not found" });
+      }
+
+      replaceImportedBlocks(property, calendar._id, []);
+      calendar.deleteOne();
+
+      await property.save();
+      res.json(calendarResponse(req, property));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Get host properties
 router.get("/properties", authenticateHost, async (req, res) => {
   try {
@@ -173,18 +830,36 @@ router.get("/bookings", authenticateHost, async (req, res) => {
       .populate("property")
       .populate("guest", "firstName lastName email phone");
 
-    res.json(bookings);
+    // What other hosts have said about each guest
+    const summaries = await getGuestSummaries([
+      ...new Set(
+        bookings.filter((b) => b.guest).map((b) => b.guest._id.toString())
+      ),
+    ]);
+
+    res.json(
+      bookings.map((booking) => ({
+        ...booking.toObject(),
+        guestSummary: booking.guest
+          ? summaries.get(booking.guest._id.toString())
+          : null,
+      }))
+    );
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Update booking status
+// Update booking status. Booking requests are accepted with "confirmed" and
+// declined with "declined" (or "cancelled").
 router.patch(
   "/bookings/:id",
   authenticateHost,
-  [body("status").isIn(["confirmed", "cancelled", "completed"])],
+  [
+    body("status").isIn(["confirmed", "declined", "cancelled", "completed"]),
+    body("reason").optional().isString().trim(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -204,10 +879,270 @@ router.patch(
         return res.status(404).json({ message: "Booking not found" });
       }
 
-      booking.status = req.body.status;
-      await booking.save();
+      if (
+        !(HOST_BOOKING_TRANSITIONS[booking.status] || []).includes(
+          req.body.status
+        )
+      ) {
+        return res.status(400).json({
+          message: `A ${booking.status} booking cannot be changed to ${req.body.status}`,
+        });
+      }
+
+      if (booking.status === "requested") {
+        if (req.body.status === "confirmed") {
+          if (booking.requestExpiresAt <= new Date()) {
+            return res
+              .status(400)
+              .json({ message: "Booking request has expired" });
+          }
+
+          await booking.populate("property");
+          let result;
+          try {
+            result = await acceptBookingRequest(booking);
+          } catch (paymentError) {
+            console.error(paymentError);
+            return res.status(400).json({
+              message: "The guest's payment could not be captured",
+            });
+          }
+
+          if (!result.reserved) {
+            return res.status(409).json({
+              message: "Property is no longer available for these dates",
+              booking: result.booking,
+            });
+          }
+
+          return res.json(result.booking);
+        }
+
+        // Declining releases the guest's card authorization
+        if (["declined", "cancelled"].includes(req.body.status)) {
+          const declined = await closeBookingRequest(booking, {
+            status: "declined",
+            reason: req.body.reason || "Declined by host",
+          });
+
+          if (!declined) {
+            return res
+              .status(409)
+              .json({ message: "Booking request was already answered" });
+          }
+
+          return res.json(declined);
+        }
+      }
+
+      // Host cancellations always refund the guest in full
+      if (req.body.status === "cancelled") {
+        const cancelled = await cancelBooking(booking, {
+          refundAmount: getRefundableBalance(booking),
+          reason: req.body.reason || "Cancelled by host",
+          cancelledBy: "host",
+        });
+
+        if (!cancelled) {
+          return res
+            .status(400)
+            .json({ message: `Booking is already ${booking.status}` });
+        }
+
+        return res.json(cancelled);
+      }
+
+      // Completing a stay credits the host's earnings
+      if (req.body.status === "completed") {
+        const completed = await completeBooking(booking);
+
+        if (!completed) {
+          return res.status(400).json({
+            message:
+              "Only confirmed, paid bookings can be marked completed, after check-out",
+          });
+        }
+
+        return res.json(completed);
+      }
+
+      // Only a paid booking whose confirmation did not go through (e.g. a
+      // missed webhook) can be confirmed by hand
+      if (booking.paymentStatus !== "paid") {
+        return res
+          .status(400)
+          .json({ message: "Booking has not been paid for" });
+      }
+
+      // Keep the reserved nights in step with the new status
+      const reserved = await confirmDates(
+        properties.find((p) => p._id.equals(booking.property)),
+        booking._id,
+        booking.checkIn,
+        booking.checkOut
+      );
+      if (!reserved) {
+        return res
+          .status(409)
+          .json({ message: "Property is not available for these dates" });
+      }
+
+      const confirmed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "pending" },
+        { status: "confirmed", $unset: { holdExpiresAt: 1 } },
+        { new: true }
+      );
+      if (!confirmed) {
+        // Cancelled meanwhile: don't leave its nights reserved
+        const current = await Booking.findById(booking._id);
+        if (current.status !== "confirmed") await releaseDates(booking._id);
+        return res
+          .status(409)
+          .json({ message: "Booking was changed by another request" });
+      }
+
+      res.json(confirmed);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get earnings balance
+router.get("/balance", authenticateHost, async (req, res) => {
+  try {
+    const host = await Host.findOne({ user: req.user.id });
+    if (!host) {
+      return res.status(404).json({ message: "Host profile not found" });
+    }
+
+    res.json(await getHostBalance(host._id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get earnings statement: the ledger entries making up the balance
+router.get("/statement", authenticateHost, async (req, res) => {
+  try {
+    const { from, to, page = 1, limit = 20 } = req.query;
+
+    const host = await Host.findOne({ user: req.user.id });
+    if (!host) {
+      return res.status(404).json({ message: "Host profile not found" });
+    }
+
+    const filter = { host: host._id, account: "host_payable" };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await LedgerEntry.find(filter)
+      .select("kind amount booking payout commissionRate description createdAt")
+      .populate("booking", "checkIn checkOut totalAmount refundedAmount")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LedgerEntry.countDocuments(filter);
+
+    res.json({
+      entries,
+      balance: await getHostBalance(host._id),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get payout history
+router.get("/payouts", authenticateHost, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const host = await Host.findOne({ user: req.user.id });
+    if (!host) {
+      return res.status(404).json({ message: "Host profile not found" });
+    }
+
+    const payouts = await Payout.find({ host: host._id })
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Payout.countDocuments({ host: host._id });
+
+    res.json({
+      payouts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Review the guest of a completed booking
+router.post(
+  "/bookings/:id/review",
+  authenticateHost,
+  [
+    body("rating").isInt({ min: 1, max: 5 }),
+    body("comment").isLength({ min: 10 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const host = await Host.findOne({ user: req.user.id });
+      const properties = await Property.find({ host: host._id });
+
+      const booking = await Booking.findOne({
+        _id: req.params.id,
+        property: { $in: properties.map((p) => p._id) },
+        status: "completed",
+      });
+
+      if (!booking) {
+        return res.status(404).json({ message: "Valid booking not found" });
+      }
+
+      const existingReview = await GuestReview.findOne({
+        booking: booking._id,
+      });
+      if (existingReview) {
+        return res
+          .status(400)
+          .json({ message: "Review already exists for this booking" });
+      }
+
+      const review = new GuestReview({
+        guest: booking.guest,
+        host: host._id,
+        property: booking.property,
+        booking: booking._id,
+        rating: req.body.rating,
+        comment: req.body.comment,
+        ...getBlindFields(booking),
+      });
+
+      await review.save();
+      await publishNewReview(review);
 
-      res.json(booking);
+      res.status(201).json(await GuestReview.findById(review._id));
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: "Server error" });
@@ -233,6 +1168,7 @@ router.post(
       const review = await Review.findOne({
         _id: req.params.id,
         property: { $in: properties.map((p) => p._id) },
+        ...VISIBLE,
       });
 
       if (!review) {
@@ -0,0 +1,247 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { authenticate } = require("../middleware/auth");
+const Conversation = require("../models/Conversation");
+const Booking = require("../models/Booking");
+const Property = require("../models/Property");
+const Host = require("../models/Host");
+const {
+  canShareContacts,
+  findOrCreateConversation,
+  listMessages,
+  maskContactDetails,
+  sendMessage,
+  markRead,
+} = require("../services/messagingService");
+
+const router = express.Router();
+
+// The signed-in user's side of a conversation: its guest, or the host who
+// owns the property. Null for anyone else.
+const getParticipantRole = async (userId, conversation) => {
+  if (conversation.guest.equals(userId)) return "guest";
+  const host = await Host.findOne({ user: userId });
+  if (host && conversation.host.equals(host._id)) return "host";
+  return null;
+};
+
+// Load a conversation the signed-in user takes part in
+const findConversation = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+  const role =
+    conversation && (await getParticipantRole(req.user._id, conversation));
+
+  if (!role) {
+    res.status(404).json({ message: "Conversation not found" });
+    return {};
+  }
+  return { conversation, role };
+};
+
+const messageResponse = async (conversation, message) => {
+  const shared = await canShareContacts(conversation);
+  const result = message.toObject();
+  if (!shared) result.body = maskContactDetails(result.body);
+  return result;
+};
+
+// Get conversations
+router.get("/conversations", authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const host = await Host.findOne({ user: req.user.id });
+    const filter = {
+      $or: [{ guest: req.user._id }, ...(host ? [{ host: host._id }] : [])],
+    };
+
+    const conversations = await Conversation.find(filter)
+      .populate("property", "title images")
+      .populate("booking", "checkIn checkOut status")
+      .populate("guest", "firstName lastName")
+      .populate({
+        path: "host",
+        select: "user",
+        populate: { path: "user", select: "firstName lastName" },
+      })
+      .sort({ lastMessageAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Conversation.countDocuments(filter);
+
+    res.json({
+      conversations: conversations.map((conversation) => {
+        // The guest or host populated as null if their account was deleted
+        const role =
+          host && conversation.host && conversation.host._id.equals(host._id)
+            ? "host"
+            : "guest";
+        return {
+          ...conversation.toObject(),
+          role,
+          unreadCount:
+            role === "guest"
+              ? conversation.guestUnreadCount
+              : conversation.hostUnreadCount,
+        };
+      }),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Start a conversation about a property (inquiry) or a booking, or add to
+// the existing one
+router.post(
+  "/conversations",
+  authenticate,
+  [
+    body("propertyId").optional().isMongoId(),
+    body("bookingId").optional().isMongoId(),
+    body("propertyId")
+      .custom((propertyId, { req }) =>
+        Boolean(propertyId || req.body.bookingId)
+      )
+      .withMessage("A property or booking is required"),
+    body("message").trim().isLength({ min: 1, max: 2000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let conversation;
+
+      if (req.body.bookingId) {
+        const booking = await Booking.findById(req.body.bookingId).populate(
+          "property"
+        );
+        // Only the booking's guest and host may open its thread. The
+        // property may have been deleted since.
+        const participant =
+          booking &&
+          booking.property &&
+          (await getParticipantRole(req.user._id, {
+            guest: booking.guest,
+            host: booking.property.host,
+          }));
+        if (!participant) {
+          return res.status(404).json({ message: "Booking not found" });
+        }
+
+        conversation = await findOrCreateConversation({
+          property: booking.property,
+          booking,
+          guest: booking.guest,
+        });
+      } else {
+        const property = await Property.findById(req.body.propertyId);
+        if (!property || !property.isActive || !property.hostVerified) {
+          return res.status(404).json({ message: "Property not found" });
+        }
+
+        conversation = await findOrCreateConversation({
+          property,
+          guest: req.user._id,
+        });
+      }
+
+      const role = await getParticipantRole(req.user._id, conversation);
+      const message = await sendMessage(
+        conversation,
+        req.user,
+        role,
+        req.body.message
+      );
+
+      res.status(201).json({
+        conversation: await Conversation.findById(conversation._id),
+        message: await messageResponse(conversation, message),
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get messages in a conversation, newest first
+router.get(
+  "/conversations/:id/messages",
+  authenticate,
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { conversation } = await findConversation(req, res);
+      if (!conversation) return;
+
+      const { page = 1, limit = 20 } = req.query;
+      res.json(await listMessages(conversation, { page, limit }));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Send a message
+router.post(
+  "/conversations/:id/messages",
+  authenticate,
+  [body("message").trim().isLength({ min: 1, max: 2000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { conversation, role } = await findConversation(req, res);
+      if (!conversation) return;
+
+      const message = await sendMessage(
+        conversation,
+        req.user,
+        role,
+        req.body.message
+      );
+
+      res.status(201).json(await messageResponse(conversation, message));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Mark a conversation as read
+router.post("/conversations/:id/read", authenticate, async (req, res) => {
+  try {
+    const { conversation, role } = await findConversation(req, res);
+    if (!conversation) return;
+
+    await markRead(conversation, role);
+    res.json({ message: "Conversation marked as read" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
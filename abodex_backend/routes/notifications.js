@@ -0,0 +1,169 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { authenticateAccount } = require("../middleware/auth");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+} = require("../config/notificationTemplates");
+
+const router = express.Router();
+
+const preferencesResponse = (user) => {
+  const preferences = user.notificationPreferences;
+  return {
+    email: preferences.email,
+    sms: preferences.sms,
+    inApp: preferences.inApp,
+    events: Object.fromEntries(preferences.events || []),
+    // Events the user can tune, and the channels each one uses
+    availableEvents: Object.entries(NOTIFICATION_EVENTS)
+      .filter(([, definition]) => !definition.mandatory)
+      .map(([event, definition]) => ({
+        event,
+        channels: NOTIFICATION_CHANNELS.filter(
+          (channel) => definition[channel]
+        ),
+      })),
+  };
+};
+
+// Get in-app notifications
+router.get("/", authenticateAccount, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const filter = { user: req.user._id };
+    if (unread === "true") filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      readAt: null,
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Mark all notifications as read
+router.post("/read-all", authenticateAccount, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+    res.json({ message: "Notifications marked as read" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Mark a notification as read
+router.post("/:id/read", authenticateAccount, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get notification preferences
+router.get("/preferences", authenticateAccount, async (req, res) => {
+  try {
+    res.json(preferencesResponse(req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update notification preferences. `events` maps an event name to channel
+// overrides; null clears an event's overrides.
+router.put(
+  "/preferences",
+  authenticateAccount,
+  [
+    body(["email", "sms", "inApp"]).optional().isBoolean(),
+    body("events").optional().isObject(),
+    body("events")
+      .optional()
+      .custom((events) =>
+        Object.entries(events).every(
+          ([event, channels]) =>
+            NOTIFICATION_EVENTS[event] &&
+            !NOTIFICATION_EVENTS[event].mandatory &&
+            (channels === null ||
+              (typeof channels === "object" &&
+                Object.entries(channels).every(
+                  ([channel, enabled]) =>
+                    NOTIFICATION_CHANNELS.includes(channel) &&
+                    typeof enabled === "boolean"
+                )))
+        )
+      )
+      .withMessage("Unknown notification event or channel"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+      const preferences = user.notificationPreferences;
+
+      NOTIFICATION_CHANNELS.forEach((channel) => {
+        if (req.body[channel] !== undefined) {
+          preferences[channel] = req.body[channel];
+        }
+      });
+
+      Object.entries(req.body.events || {}).forEach(([event, channels]) => {
+        if (channels === null) preferences.events.delete(event);
+        else {
+          preferences.events.set(event, {
+            ...(preferences.events.get(event)?.toObject() || {}),
+            ...channels,
+          });
+        }
+      });
+
+      await user.save();
+      res.json(preferencesResponse(user));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require("express");
+const Booking = require("../models/Booking");
+const WebhookEvent = require("../models/WebhookEvent");
+const { constructWebhookEvent } = require("../services/paymentService");
+const {
+  confirmBookingPayment,
+  submitBookingRequest,
+  applyRefund,
+  fromChargeAmount,
+} = require("../services/bookingService");
+const { fromMinorUnits } = require("../services/currencyService");
+
+const router = express.Router();
+
+const updateDispute = async (dispute) => {
+  const booking = await Booking.findOne({
+    paymentIntentId: dispute.payment_intent,
+  });
+  if (!booking) return;
+
+  booking.dispute = {
+    id: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason,
+  };
+
+  // A lost dispute returns the whole payment to the guest, so it is
+  // settled like a full refund: the booking is cancelled, its dates freed
+  // and a completed stay's earnings reversed
+  if (dispute.status === "lost") {
+    booking.cancellationReason =
+      booking.cancellationReason || "Payment dispute lost";
+    await applyRefund(booking, booking.totalAmount);
+    return;
+  }
+
+  if (dispute.status === "won") {
+    booking.paymentStatus =
+      booking.refundedAmount > 0 ? "partially_refunded" : "paid";
+  } else {
+    booking.paymentStatus = "disputed";
+  }
+
+  await booking.save();
+};
+
+// Handlers keyed by Stripe event type; each receives event.data.object
+const handlers = {
+  "payment_intent.succeeded": async (paymentIntent) => {
+    const booking = await Booking.findOne({
+      paymentIntentId: paymentIntent.id,
+    }).populate("property");
+    if (!booking) return;
+
+    // Also refunds the payment if the booking was closed in the meantime
+    await confirmBookingPayment(booking, paymentIntent);
+  },
+
+  // A booking request's card was authorized
+  "payment_intent.amount_capturable_updated": async (paymentIntent) => {
+    const booking = await Booking.findOne({
+      paymentIntentId: paymentIntent.id,
+    }).populate("property");
+    if (!booking || booking.bookingMode !== "request") return;
+
+    await submitBookingRequest(booking, paymentIntent);
+  },
+
+  "payment_intent.payment_failed": async (paymentIntent) => {
+    await Booking.updateOne(
+      { paymentIntentId: paymentIntent.id, status: "pending" },
+      { paymentStatus: "failed" }
+    );
+  },
+
+  "charge.refunded": async (charge) => {
+    const booking = await Booking.findOne({
+      paymentIntentId: charge.payment_intent,
+    });
+    if (!booking) return;
+
+    // Stripe reports refunds in the charge currency
+    await applyRefund(
+      booking,
+      charge.refunded
+        ? booking.totalAmount
+        : fromChargeAmount(
+            booking,
+            fromMinorUnits(charge.amount_refunded, charge.currency)
+          )
+    );
+  },
+
+  "charge.dispute.created": updateDispute,
+  "charge.dispute.updated": updateDispute,
+  "charge.dispute.closed": updateDispute,
+};
+
+// Stripe webhook. Signature is checked against STRIPE_WEBHOOK_SECRET; locally
+// signed events can be produced with stripe.webhooks.generateTestHeaderString.
+router.post(
+  "/stripe",
+  express.raw({ type: "application/json" }),
+  async (req, res) => {
+    let event;
+    try {
+      event = constructWebhookEvent(req.body, req.header("Stripe-Signature"));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    try {
+      // Skip events Stripe redelivers after we already handled them
+      const processed = await WebhookEvent.exists({ eventId: event.id });
+      if (processed) {
+        return res.json({ received: true });
+      }
+
+      const handler = handlers[event.type];
+      if (handler) {
+        await handler(event.data.object);
+      }
+
+      try {
+        await WebhookEvent.create({ eventId: event.id, type: event.type });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+
+      res.json({ received: true });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// One-off migration storing the kind of message threads started before it
+// was recorded, then building the thread indexes that depend on it. Run
+// once after deploying it: npm run migrate:conversation-kinds
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+
+const { backfillConversationKinds } = require("../services/messagingService");
+
+mongoose
+  .connect(process.env.MONGODB_URI, { autoIndex: false })
+  .then(async () => {
+    const { updated, merged } = await backfillConversationKinds();
+    await Conversation.createIndexes();
+    console.log(
+      `Set the kind of ${updated} conversations, merged ${merged} duplicates`
+    );
+  })
+  .catch((error) => {
+    console.error("Conversation kind backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,22 @@
+// One-off migration for databases from before host verification. Run once
+// after deploying it: npm run migrate:host-verification
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const {
+  backfillHostVerification,
+} = require("../services/hostVerificationService");
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(async () => {
+    const { hostsApproved, properties } = await backfillHostVerification();
+    console.log(
+      `Approved ${hostsApproved} existing hosts, updated ${properties} properties`
+    );
+  })
+  .catch((error) => {
+    console.error("Host verification backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
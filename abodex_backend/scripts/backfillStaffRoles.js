@@ -0,0 +1,19 @@
+// One-off migration for admin accounts from before staff roles, which
+// otherwise lose their access. Run once after deploying it:
+// npm run migrate:staff-roles
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const { backfillStaffRoles } = require("../services/permissionService");
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(async () => {
+    const updated = await backfillStaffRoles();
+    console.log(`Made ${updated} existing admins super admins`);
+  })
+  .catch((error) => {
+    console.error("Staff role backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
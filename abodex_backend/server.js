@@ -9,11 +9,24 @@ const authRoutes = require("./routes/auth");
 const guestRoutes = require("./routes/guest");
 const hostRoutes = require("./routes/host");
 const adminRoutes = require("./routes/admin");
+const webhookRoutes = require("./routes/webhooks");
+const calendarRoutes = require("./routes/calendar");
+const messageRoutes = require("./routes/messages");
+const notificationRoutes = require("./routes/notifications");
+const { ensureSystemRoles } = require("./services/permissionService");
+const { startScheduler } = require("./services/schedulerService");
+const { loadExchangeRatesFile } = require("./services/currencyService");
+require("./services/backgroundJobs");
 
 const app = express();
 
 // Middleware
 app.use(cors());
+
+// Webhooks verify signatures against the raw body, so they are mounted
+// before the JSON body parser
+app.use("/api/webhooks", webhookRoutes);
+
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
@@ -25,6 +38,9 @@ app.use("/api/auth", authRoutes);
 app.use("/api/guest", guestRoutes);
 app.use("/api/host", hostRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/messages", messageRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // Health check endpoint
 app.get("/health", (_req, res) => {
@@ -47,8 +63,14 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => {
+  .then(async () => {
     console.log("Connected to MongoDB");
+    await ensureSystemRoles();
+    // Rates can also be kept by admins in the settings
+    if (process.env.EXCHANGE_RATES_FILE) {
+      await loadExchangeRatesFile(process.env.EXCHANGE_RATES_FILE);
+    }
+    await startScheduler();
   })
   .catch((error) => {
     console.error("MongoDB connection error:", error);
@@ -0,0 +1,217 @@
+const ReservedNight = require("../models/ReservedNight");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 15;
+
+// Normalize any date to UTC midnight of the same day
+const toNight = (date) => {
+  const d = new Date(date);
+  return new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+  );
+};
+
+exports.toNight = toNight;
+
+// Every night between check-in (inclusive) and check-out (exclusive)
+exports.getNights = (checkIn, checkOut) => {
+  const nights = [];
+  const end = toNight(checkOut);
+  for (
+    let night = toNight(checkIn);
+    night < end;
+    night = new Date(night.getTime() + DAY_MS)
+  ) {
+    nights.push(night);
+  }
+  return nights;
+};
+
+// Host-managed ranges on the property: blocked ranges must not overlap the
+// stay, and if the host published open windows the stay must fit in one.
+exports.isOpenOnCalendar = (property, checkIn, checkOut) => {
+  const start = toNight(checkIn);
+  const end = toNight(checkOut);
+  const ranges = property.availability || [];
+
+  const blocked = ranges.some(
+    (range) =>
+      !range.isAvailable &&
+      new Date(range.startDate) < end &&
+      new Date(range.endDate) > start
+  );
+  if (blocked) return false;
+
+  const windows = ranges.filter((range) => range.isAvailable);
+  if (windows.length === 0) return true;
+
+  return windows.some(
+    (range) =>
+      new Date(range.startDate) <= start && new Date(range.endDate) >= end
+  );
+};
+
+// Nights that count as taken: confirmed, or held and not yet expired
+const activeReservation = () => ({
+  $or: [{ status: "confirmed" }, { expiresAt: { $gt: new Date() } }],
+});
+
+const clearExpiredHolds = (propertyId, nights) =>
+  ReservedNight.deleteMany({
+    property: propertyId,
+    night: { $in: nights },
+    status: "held",
+    expiresAt: { $lte: new Date() },
+  });
+
+exports.isAvailable = async (property, checkIn, checkOut, excludeBookingId) => {
+  if (!exports.isOpenOnCalendar(property, checkIn, checkOut)) return false;
+
+  const filter = {
+    property: property._id,
+    night: { $gte: toNight(checkIn), $lt: toNight(checkOut) },
+    ...activeReservation(),
+  };
+  if (excludeBookingId) filter.booking = { $ne: excludeBookingId };
+
+  const conflict = await ReservedNight.exists(filter);
+  return !conflict;
+};
+
+// Hold the nights for a pending booking. Returns the hold expiry, or null if
+// any night is already taken (nothing is left held in that case).
+exports.holdDates = async (property, bookingId, checkIn, checkOut) => {
+  if (!exports.isOpenOnCalendar(property, checkIn, checkOut)) return null;
+
+  const nights = exports.getNights(checkIn, checkOut);
+  if (nights.length === 0) return null;
+
+  const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+
+  await clearExpiredHolds(property._id, nights);
+
+  try {
+    await ReservedNight.insertMany(
+      nights.map((night) => ({
+        property: property._id,
+        booking: bookingId,
+        night,
+        status: "held",
+        expiresAt,
+      }))
+    );
+  } catch (error) {
+    await ReservedNight.deleteMany({ booking: bookingId });
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return expiresAt;
+};
+
+// Move all of a booking's nights to `status` (held until `expiresAt`, or
+// confirmed). Nights whose hold has lapsed are re-acquired if still free.
+// Returns false if any night was lost to another booking, in which case the
+// booking's nights are all released.
+const secureDates = async (
+  property,
+  bookingId,
+  checkIn,
+  checkOut,
+  status,
+  expiresAt
+) => {
+  const nights = exports.getNights(checkIn, checkOut);
+
+  await ReservedNight.updateMany(
+    { booking: bookingId, status: "held" },
+    status === "confirmed"
+      ? { $set: { status }, $unset: { expiresAt: 1 } }
+      : { $set: { status, expiresAt } }
+  );
+
+  const secured = await ReservedNight.find({
+    booking: bookingId,
+    status,
+  }).select("night");
+  const securedTimes = new Set(secured.map((r) => r.night.getTime()));
+  const missing = nights.filter((night) => !securedTimes.has(night.getTime()));
+
+  if (missing.length === 0) return true;
+
+  await clearExpiredHolds(property._id, missing);
+
+  try {
+    await ReservedNight.insertMany(
+      missing.map((night) => ({
+        property: property._id,
+        booking: bookingId,
+        night,
+        status,
+        expiresAt,
+      }))
+    );
+  } catch (error) {
+    await exports.releaseDates(bookingId);
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  return true;
+};
+
+// Turn a booking's hold into a confirmed reservation. Returns false if the
+// dates were lost (see secureDates).
+exports.confirmDates = (property, bookingId, checkIn, checkOut) =>
+  secureDates(property, bookingId, checkIn, checkOut, "confirmed");
+
+// Keep a booking's dates held until `expiresAt`, e.g. while its host decides
+// on a booking request. Returns false if the dates were lost.
+exports.extendHold = (property, bookingId, checkIn, checkOut, expiresAt) =>
+  secureDates(property, bookingId, checkIn, checkOut, "held", expiresAt);
+
+exports.releaseDates = async (bookingId) => {
+  await ReservedNight.deleteMany({ booking: bookingId });
+};
+
+// Property query conditions matching only listings free for the whole stay
+exports.availabilityFilter = async (checkIn, checkOut) => {
+  const start = toNight(checkIn);
+  const end = toNight(checkOut);
+
+  const reservedPropertyIds = await ReservedNight.distinct("property", {
+    night: { $gte: start, $lt: end },
+    ...activeReservation(),
+  });
+
+  return {
+    $and: [
+      { _id: { $nin: reservedPropertyIds } },
+      {
+        availability: {
+          $not: {
+            $elemMatch: {
+              isAvailable: false,
+              startDate: { $lt: end },
+              endDate: { $gt: start },
+            },
+          },
+        },
+      },
+      {
+        $or: [
+          { availability: { $not: { $elemMatch: { isAvailable: true } } } },
+          {
+            availability: {
+              $elemMatch: {
+                isAvailable: true,
+                startDate: { $lte: start },
+                endDate: { $gte: end },
+              },
+            },
+          },
+        ],
+      },
+    ],
+  };
+};
@@ -0,0 +1,192 @@
+const Booking = require("../models/Booking");
+const { defineJob } = require("./schedulerService");
+const { notify, processOutbox } = require("./notificationService");
+const { confirmPaymentIntent } = require("./paymentService");
+const { revealExpiredReviews } = require("./reviewService");
+const { sendSavedSearchAlerts } = require("./savedSearchService");
+const {
+  cancelBooking,
+  closeBookingRequest,
+  completeBooking,
+  confirmBookingPayment,
+  submitBookingRequest,
+} = require("./bookingService");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Bookings created before holds existed have no holdExpiresAt
+const UNPAID_BOOKING_MAX_AGE_MS = DAY_MS;
+const BATCH_SIZE = 100;
+
+// Remind guests whose stay starts within the next day. Each booking is
+// claimed by setting reminderSentAt, so it is reminded once.
+const sendCheckInReminders = async () => {
+  const now = new Date();
+  const bookings = await Booking.find({
+    status: "confirmed",
+    reminderSentAt: null,
+    checkIn: { $gt: now, $lte: new Date(now.getTime() + DAY_MS) },
+  })
+    .populate("property", "title")
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const booking of bookings) {
+    const claimed = await Booking.updateOne(
+      { _id: booking._id, reminderSentAt: null },
+      { reminderSentAt: now }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    await notify(booking.guest, "check_in_reminder", {
+      bookingId: booking._id,
+      propertyTitle: booking.property.title,
+      checkIn: booking.checkIn,
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+// Complete confirmed stays once the guest has checked out, which credits the
+// host's earnings and lets the guest review
+const completeFinishedStays = async () => {
+  const bookings = await Booking.find({
+    status: "confirmed",
+    paymentStatus: { $in: ["paid", "partially_refunded"] },
+    checkOut: { $lte: new Date() },
+  }).limit(BATCH_SIZE);
+
+  let completed = 0;
+  for (const booking of bookings) {
+    try {
+      if (await completeBooking(booking)) completed += 1;
+    } catch (error) {
+      // One booking failing (e.g. its ledger posting) shouldn't stop the others
+      console.error(`Completing booking ${booking._id} failed:`, error);
+    }
+  }
+  return completed;
+};
+
+// Cancel pending bookings whose hold has lapsed without payment, and their
+// payment intents. Stripe is asked first, so a payment whose webhook has
+// not arrived yet confirms the booking instead.
+const expireUnpaidBookings = async () => {
+  const now = new Date();
+  const bookings = await Booking.find({
+    status: "pending",
+    $or: [
+      { holdExpiresAt: { $lte: now } },
+      {
+        holdExpiresAt: null,
+        createdAt: {
+          $lte: new Date(now.getTime() - UNPAID_BOOKING_MAX_AGE_MS),
+        },
+      },
+    ],
+  })
+    .populate("property")
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const booking of bookings) {
+    try {
+      if (booking.paymentIntentId) {
+        const paymentIntent = await confirmPaymentIntent(
+          booking.paymentIntentId
+        );
+
+        if (paymentIntent.status === "succeeded") {
+          await confirmBookingPayment(booking, paymentIntent);
+          continue;
+        }
+        if (
+          paymentIntent.status === "requires_capture" &&
+          booking.bookingMode === "request"
+        ) {
+          await submitBookingRequest(booking, paymentIntent);
+          continue;
+        }
+        // Still being processed by the bank; check again next run
+        if (paymentIntent.status === "processing") continue;
+      }
+
+      const cancelled = await cancelBooking(booking, {
+        reason: "Payment was not completed in time",
+        cancelledBy: "system",
+      });
+      if (cancelled) expired += 1;
+    } catch (error) {
+      // A booking Stripe can't tell us about shouldn't stop the others
+      console.error(`Expiring booking ${booking._id} failed:`, error);
+    }
+  }
+  return expired;
+};
+
+// Close booking requests the host did not answer by the deadline, which
+// releases the guest's card authorization and the dates
+const expireBookingRequests = async () => {
+  const bookings = await Booking.find({
+    status: "requested",
+    requestExpiresAt: { $lte: new Date() },
+  }).limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const booking of bookings) {
+    try {
+      const closed = await closeBookingRequest(booking, {
+        status: "expired",
+        reason: "The host did not respond in time",
+      });
+      if (closed) expired += 1;
+    } catch (error) {
+      console.error(`Expiring booking request ${booking._id} failed:`, error);
+    }
+  }
+  return expired;
+};
+
+defineJob("check_in_reminders", {
+  description: "Remind guests the day before check-in",
+  intervalMs: 60 * MINUTE_MS,
+  handler: sendCheckInReminders,
+});
+
+defineJob("complete_bookings", {
+  description: "Mark stays completed after check-out",
+  intervalMs: 60 * MINUTE_MS,
+  handler: completeFinishedStays,
+});
+
+defineJob("expire_pending_bookings", {
+  description: "Cancel unpaid bookings whose hold has lapsed",
+  intervalMs: 5 * MINUTE_MS,
+  handler: expireUnpaidBookings,
+});
+
+defineJob("expire_booking_requests", {
+  description: "Expire booking requests the host did not answer in time",
+  intervalMs: 5 * MINUTE_MS,
+  handler: expireBookingRequests,
+});
+
+defineJob("reveal_reviews", {
+  description: "Publish reviews whose blind window has closed",
+  intervalMs: 60 * MINUTE_MS,
+  handler: revealExpiredReviews,
+});
+
+defineJob("saved_search_alerts", {
+  description: "Tell users about new places matching their saved searches",
+  intervalMs: 15 * MINUTE_MS,
+  handler: sendSavedSearchAlerts,
+});
+
+defineJob("process_outbox", {
+  description: "Send queued emails and SMS and retry failed ones",
+  intervalMs: MINUTE_MS,
+  timeoutMs: 5 * MINUTE_MS,
+  handler: () => processOutbox({ limit: BATCH_SIZE }),
+});
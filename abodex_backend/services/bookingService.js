@@ -0,0 +1,458 @@
+const Booking = require("../models/Booking");
+const Host = require("../models/Host");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const {
+  confirmDates,
+  extendHold,
+  releaseDates,
+} = require("./availabilityService");
+const {
+  refundPayment,
+  cancelPaymentIntent,
+  capturePaymentIntent,
+} = require("./paymentService");
+const { notify } = require("./notificationService");
+const { recordBookingEarnings, recordRefund } = require("./ledgerService");
+const { releasePromoRedemption } = require("./promoService");
+const { round } = require("./pricingService");
+const { roundAmount } = require("./currencyService");
+const { BASE_CURRENCY } = require("../config/currencies");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Card authorizations lapse after 7 days, so hosts must answer well before
+const MAX_REQUEST_HOURS = 6 * 24;
+const REQUEST_HOURS = Math.min(
+  parseInt(process.env.BOOKING_REQUEST_HOURS) || 24,
+  MAX_REQUEST_HOURS
+);
+
+// Statuses of bookings that ended without a stay
+const CLOSED_STATUSES = ["cancelled", "declined", "expired"];
+
+// Bookings made before multi-currency support were charged in their listing
+// currency
+const getChargeCurrency = (booking) =>
+  booking.chargeCurrency || booking.currency || BASE_CURRENCY;
+
+// An amount in the booking's listing currency, as charged to the guest
+exports.toChargeAmount = (booking, amount) => {
+  const charged = roundAmount(
+    amount * (booking.exchangeRate || 1),
+    getChargeCurrency(booking)
+  );
+  return booking.chargeAmount
+    ? Math.min(charged, booking.chargeAmount)
+    : charged;
+};
+
+// An amount charged to the guest, in the booking's listing currency
+exports.fromChargeAmount = (booking, amount) =>
+  round(amount / (booking.exchangeRate || 1));
+
+// Refund part of the booking (in its listing currency) in the currency the
+// guest paid in, at the rate they paid at
+const refundBookingPayment = (booking, amount) =>
+  refundPayment(
+    booking.paymentIntentId,
+    exports.toChargeAmount(booking, amount),
+    getChargeCurrency(booking)
+  );
+
+// Tell the guest and the property's host about a change to a booking
+const notifyBookingParties = async (booking, guestEvent, hostEvent, data) => {
+  const property =
+    booking.property && booking.property.title
+      ? booking.property
+      : await Property.findById(booking.property);
+  const guest = await User.findById(booking.guest);
+  const host = await Host.findById(property.host);
+
+  const details = {
+    bookingId: booking._id,
+    propertyId: property._id,
+    propertyTitle: property.title,
+    checkIn: booking.checkIn,
+    checkOut: booking.checkOut,
+    totalAmount: exports.toChargeAmount(booking, booking.totalAmount),
+    currency: getChargeCurrency(booking),
+    guestName: guest ? `${guest.firstName} ${guest.lastName}` : "A guest",
+    ...data,
+  };
+
+  if (guest) await notify(guest, guestEvent, details);
+  if (host && hostEvent) await notify(host.user, hostEvent, details);
+};
+
+// Release a card authorization. The authorization lapses by itself anyway,
+// so a failure here is only logged.
+const voidAuthorization = async (booking) => {
+  try {
+    await cancelPaymentIntent(booking.paymentIntentId);
+    booking.paymentStatus = "voided";
+    await booking.save();
+  } catch (stripeError) {
+    console.error("Payment authorization release failed:", stripeError);
+  }
+};
+
+// Refund in full a payment that went through after its booking was closed
+// without charging the guest (e.g. the guest paid an intent left open).
+// The booking is claimed first so the payment is refunded once. Returns
+// null if the booking's payment was already settled.
+const refundLatePayment = async (booking) => {
+  const previous = booking.paymentStatus;
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: booking.status,
+      paymentStatus: { $in: ["pending", "failed", "authorized", "voided"] },
+    },
+    { paymentStatus: "refunded", refundedAmount: booking.totalAmount },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    await refundBookingPayment(claimed, claimed.totalAmount);
+  } catch (error) {
+    await Booking.updateOne(
+      { _id: booking._id },
+      { paymentStatus: previous, refundedAmount: booking.refundedAmount || 0 }
+    );
+    throw error;
+  }
+
+  return claimed;
+};
+
+// Confirm a pending booking, or an accepted booking request, once its
+// payment has succeeded. Used by both the client confirm endpoint and the
+// Stripe webhook, so it is safe to call more than once: only the call that
+// moves the booking out of "pending" or "requested" applies the side
+// effects. A payment for a booking that was closed meanwhile is refunded.
+// Expects booking.property to be populated.
+exports.confirmBookingPayment = async (booking, paymentIntent) => {
+  const previousStatus = booking.status;
+  if (CLOSED_STATUSES.includes(previousStatus)) {
+    const refunded = await refundLatePayment(booking);
+    return { booking: refunded || booking, reserved: false };
+  }
+  if (!["pending", "requested"].includes(previousStatus)) {
+    return { booking, reserved: previousStatus === "confirmed" };
+  }
+
+  // Turn the hold into a reservation; if the hold lapsed and someone else
+  // took the dates in the meantime, give the guest their money back
+  const reserved = await confirmDates(
+    booking.property,
+    booking._id,
+    booking.checkIn,
+    booking.checkOut
+  );
+
+  if (!reserved) {
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: previousStatus },
+      {
+        status: "cancelled",
+        paymentStatus: "refunded",
+        refundedAmount: booking.totalAmount,
+        cancellationReason: "Dates no longer available",
+        $unset: { holdExpiresAt: 1 },
+      },
+      { new: true }
+    ).populate("property");
+
+    if (cancelled) {
+      try {
+        await refundBookingPayment(booking, booking.totalAmount);
+      } catch (error) {
+        // Put the booking back so a retry (e.g. the webhook's) refunds it
+        await Booking.updateOne(
+          { _id: booking._id },
+          {
+            status: previousStatus,
+            paymentStatus: booking.paymentStatus,
+            refundedAmount: booking.refundedAmount || 0,
+            ...(booking.holdExpiresAt && {
+              holdExpiresAt: booking.holdExpiresAt,
+            }),
+            $unset: { cancellationReason: 1 },
+          }
+        );
+        throw error;
+      }
+      await releasePromoRedemption(cancelled);
+    }
+
+    return { booking: cancelled || booking, reserved: false };
+  }
+
+  const confirmed = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: previousStatus },
+    {
+      status: "confirmed",
+      paymentStatus: "paid",
+      transactionId: paymentIntent.id,
+      $unset: { holdExpiresAt: 1, requestExpiresAt: 1 },
+    },
+    { new: true }
+  ).populate("property");
+
+  // Another request confirmed it first, or it was closed meanwhile
+  if (!confirmed) {
+    const current = await Booking.findById(booking._id).populate("property");
+    if (CLOSED_STATUSES.includes(current.status)) {
+      await releaseDates(booking._id);
+      const refunded = await refundLatePayment(current);
+      return { booking: refunded || current, reserved: false };
+    }
+    return { booking: current, reserved: current.status === "confirmed" };
+  }
+
+  await notifyBookingParties(
+    confirmed,
+    "booking_confirmed",
+    "booking_received"
+  );
+
+  return { booking: confirmed, reserved: true };
+};
+
+// Send a pending booking request to the host once the guest's card is
+// authorized, holding the dates until the host's deadline. Like
+// confirmBookingPayment it is safe to call more than once, and expects
+// booking.property to be populated.
+exports.submitBookingRequest = async (booking, paymentIntent) => {
+  if (booking.status !== "pending") {
+    return {
+      booking,
+      reserved: ["requested", "confirmed"].includes(booking.status),
+    };
+  }
+
+  const requestExpiresAt = new Date(
+    Math.min(Date.now() + REQUEST_HOURS * HOUR_MS, booking.checkIn.getTime())
+  );
+
+  const held = await extendHold(
+    booking.property,
+    booking._id,
+    booking.checkIn,
+    booking.checkOut,
+    requestExpiresAt
+  );
+
+  if (!held) {
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: "pending" },
+      {
+        status: "cancelled",
+        cancellationReason: "Dates no longer available",
+        $unset: { holdExpiresAt: 1 },
+      },
+      { new: true }
+    ).populate("property");
+
+    if (cancelled) {
+      await voidAuthorization(cancelled);
+      await releasePromoRedemption(cancelled);
+    }
+
+    return { booking: cancelled || booking, reserved: false };
+  }
+
+  const requested = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "pending" },
+    {
+      status: "requested",
+      paymentStatus: "authorized",
+      transactionId: paymentIntent.id,
+      holdExpiresAt: requestExpiresAt,
+      requestExpiresAt,
+    },
+    { new: true }
+  ).populate("property");
+
+  // Another request submitted it first
+  if (!requested) {
+    const current = await Booking.findById(booking._id).populate("property");
+    return {
+      booking: current,
+      reserved: ["requested", "confirmed"].includes(current.status),
+    };
+  }
+
+  await notifyBookingParties(
+    requested,
+    "booking_requested",
+    "booking_request_received",
+    { requestExpiresAt }
+  );
+
+  return { booking: requested, reserved: true };
+};
+
+// Accept a booking request: capture the authorized payment and confirm the
+// booking. Throws if the payment can't be captured. Expects
+// booking.property to be populated.
+exports.acceptBookingRequest = async (booking) => {
+  if (booking.status !== "requested") {
+    return { booking, reserved: booking.status === "confirmed" };
+  }
+
+  const paymentIntent = await capturePaymentIntent(booking.paymentIntentId);
+  return exports.confirmBookingPayment(booking, paymentIntent);
+};
+
+// End a booking request the host declined (status "declined") or did not
+// answer in time ("expired"): release the card authorization and the dates,
+// and tell the guest. Returns null if the booking was no longer a request.
+exports.closeBookingRequest = async (booking, { status, reason }) => {
+  const closed = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "requested" },
+    {
+      status,
+      cancellationReason: reason,
+      $unset: { holdExpiresAt: 1 },
+    },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  await voidAuthorization(closed);
+  await releaseDates(booking._id);
+  await releasePromoRedemption(closed);
+
+  await notifyBookingParties(
+    closed,
+    `booking_request_${status}`,
+    status === "expired" ? "host_booking_request_expired" : null,
+    { reason }
+  );
+
+  return closed;
+};
+
+// Record a refund made outside the app (e.g. from the Stripe dashboard).
+// `refundedAmount` is the booking's refunded total in its listing currency.
+// A full refund also cancels the booking and frees its dates.
+exports.applyRefund = async (booking, refundedAmount) => {
+  const fullyRefunded = refundedAmount >= booking.totalAmount;
+
+  booking.refundedAmount = refundedAmount;
+  booking.paymentStatus = fullyRefunded ? "refunded" : "partially_refunded";
+
+  if (fullyRefunded && ["pending", "confirmed"].includes(booking.status)) {
+    booking.status = "cancelled";
+    booking.cancellationReason =
+      booking.cancellationReason || "Payment refunded";
+    booking.holdExpiresAt = undefined;
+    await releaseDates(booking._id);
+    await releasePromoRedemption(booking);
+  }
+
+  await booking.save();
+
+  // Refunds on completed stays come out of the host's earnings
+  if (booking.status === "completed") await recordRefund(booking);
+
+  return booking;
+};
+
+// Mark a confirmed stay as completed and credit the host's earnings.
+// Returns null if the booking was not confirmed, not paid for (so no
+// earnings are credited for money that was never collected) or the guest
+// has not checked out yet.
+exports.completeBooking = async (booking) => {
+  const completed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: "confirmed",
+      paymentStatus: { $in: ["paid", "partially_refunded"] },
+      checkOut: { $lte: new Date() },
+    },
+    { status: "completed" },
+    { new: true }
+  );
+  if (!completed) return null;
+
+  await recordBookingEarnings(completed);
+  return completed;
+};
+
+// Cancel a pending, requested or confirmed booking, refund `refundAmount`
+// to the guest and free the dates. Returns null if the booking was no
+// longer cancellable (e.g. a concurrent request got there first).
+exports.cancelBooking = async (
+  booking,
+  { refundAmount = 0, reason, cancelledBy }
+) => {
+  const previousStatus = booking.status;
+  if (!["pending", "requested", "confirmed"].includes(previousStatus)) {
+    return null;
+  }
+
+  // Claim the booking first so two cancellations cannot both refund
+  const cancelled = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: previousStatus },
+    {
+      status: "cancelled",
+      cancellationReason: reason,
+      cancelledBy,
+      cancelledAt: new Date(),
+      $unset: { holdExpiresAt: 1 },
+    },
+    { new: true }
+  );
+  if (!cancelled) return null;
+
+  if (refundAmount > 0) {
+    try {
+      await refundBookingPayment(cancelled, refundAmount);
+    } catch (error) {
+      await Booking.updateOne(
+        { _id: booking._id },
+        {
+          status: previousStatus,
+          $unset: { cancellationReason: 1, cancelledBy: 1, cancelledAt: 1 },
+        }
+      );
+      throw error;
+    }
+
+    cancelled.refundedAmount =
+      Math.round(((cancelled.refundedAmount || 0) + refundAmount) * 100) / 100;
+    cancelled.paymentStatus =
+      cancelled.refundedAmount >= cancelled.totalAmount
+        ? "refunded"
+        : "partially_refunded";
+    await cancelled.save();
+  } else if (cancelled.paymentStatus === "authorized") {
+    await voidAuthorization(cancelled);
+  } else if (
+    ["pending", "failed"].includes(cancelled.paymentStatus) &&
+    cancelled.paymentIntentId
+  ) {
+    // Nothing was charged yet; stop the guest from paying later (a failed
+    // payment can still be retried on the same intent)
+    try {
+      await cancelPaymentIntent(cancelled.paymentIntentId);
+    } catch (stripeError) {
+      console.error("Payment intent cancellation failed:", stripeError);
+    }
+  }
+
+  await releaseDates(booking._id);
+  await releasePromoRedemption(cancelled);
+
+  await notifyBookingParties(
+    cancelled,
+    "booking_cancelled",
+    "host_booking_cancelled",
+    { reason, refundAmount: exports.toChargeAmount(cancelled, refundAmount) }
+  );
+
+  return cancelled;
+};
@@ -0,0 +1,40 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Refund tiers per policy: the first tier whose notice period is met decides
+// the share of the paid amount that goes back to the guest. Cancelling with
+// less notice than every tier refunds nothing.
+const CANCELLATION_POLICIES = {
+  flexible: [{ hoursBefore: 24, refund: 1 }],
+  moderate: [
+    { hoursBefore: 5 * 24, refund: 1 },
+    { hoursBefore: 24, refund: 0.5 },
+  ],
+  strict: [
+    { hoursBefore: 14 * 24, refund: 1 },
+    { hoursBefore: 7 * 24, refund: 0.5 },
+  ],
+  non_refundable: [],
+};
+
+exports.CANCELLATION_POLICIES = CANCELLATION_POLICIES;
+exports.POLICY_NAMES = Object.keys(CANCELLATION_POLICIES);
+
+// Amount still held from the guest that a refund can draw from
+exports.getRefundableBalance = (booking) => {
+  if (!["paid", "partially_refunded"].includes(booking.paymentStatus)) {
+    return 0;
+  }
+  return Math.max(booking.totalAmount - (booking.refundedAmount || 0), 0);
+};
+
+// Refund due when the guest cancels at `now` under the given policy
+exports.calculateGuestRefund = (booking, policy, now = new Date()) => {
+  const balance = exports.getRefundableBalance(booking);
+  const hoursUntilCheckIn = (new Date(booking.checkIn) - now) / HOUR_MS;
+  const tiers = CANCELLATION_POLICIES[policy] || CANCELLATION_POLICIES.moderate;
+
+  const tier = tiers.find((t) => hoursUntilCheckIn >= t.hoursBefore);
+  const share = tier ? tier.refund : 0;
+
+  return Math.round(balance * share * 100) / 100;
+};
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const Settings = require("../models/Settings");
+const {
+  BASE_CURRENCY,
+  ZERO_DECIMAL_CURRENCIES,
+  MIN_CHARGE_AMOUNTS,
+} = require("../config/currencies");
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const isZeroDecimal = (currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase());
+
+// Round an amount to the currency's smallest unit
+exports.roundAmount = (amount, currency) =>
+  isZeroDecimal(currency) ? Math.round(amount) : Math.round(amount * 100) / 100;
+
+// Amounts as Stripe takes and reports them, in the smallest unit
+exports.toMinorUnits = (amount, currency) =>
+  Math.round(amount * (isZeroDecimal(currency) ? 1 : 100));
+
+exports.fromMinorUnits = (amount, currency) =>
+  amount / (isZeroDecimal(currency) ? 1 : 100);
+
+// Check and normalise an exchange rate table ({ EUR: 0.92, ... }, units per
+// base currency unit). Throws on anything that isn't a currency code with a
+// positive rate.
+exports.parseExchangeRates = (rates) => {
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new Error("Exchange rates must be an object of currency codes");
+  }
+
+  return Object.fromEntries(
+    Object.entries(rates).map(([code, rate]) => {
+      const currency = code.toUpperCase();
+      const value = parseFloat(rate);
+      if (!CURRENCY_CODE.test(currency) || !(value > 0)) {
+        throw new Error(`Invalid exchange rate for ${code}`);
+      }
+      return [currency, currency === BASE_CURRENCY ? 1 : value];
+    })
+  );
+};
+
+// The admin-maintained rate table, keyed by currency code
+exports.getExchangeRates = async () => {
+  const { exchangeRates } = await Settings.getSettings();
+  return {
+    ...Object.fromEntries(exchangeRates || []),
+    [BASE_CURRENCY]: 1,
+  };
+};
+
+exports.setExchangeRates = async (rates) => {
+  const settings = await Settings.getSettings();
+  settings.exchangeRates = {
+    ...exports.parseExchangeRates(rates),
+    [BASE_CURRENCY]: 1,
+  };
+  settings.exchangeRatesUpdatedAt = new Date();
+  settings.updatedAt = new Date();
+  await settings.save();
+  return settings;
+};
+
+// Replace the rate table with a JSON file of the same shape, e.g. one
+// exported nightly from a rates provider
+exports.loadExchangeRatesFile = (filePath) =>
+  exports.setExchangeRates(JSON.parse(fs.readFileSync(filePath, "utf8")));
+
+exports.isSupportedCurrency = async (currency) =>
+  Boolean((await exports.getExchangeRates())[String(currency).toUpperCase()]);
+
+// express-validator custom check for currency parameters
+exports.assertSupportedCurrency = async (currency) => {
+  if (!(await exports.isSupportedCurrency(currency))) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return true;
+};
+
+// Units of `to` per unit of `from`, or null if either has no rate
+exports.getExchangeRate = (rates, from, to) => {
+  const fromRate = rates[String(from || BASE_CURRENCY).toUpperCase()];
+  const toRate = rates[String(to).toUpperCase()];
+  return fromRate && toRate ? toRate / fromRate : null;
+};
+
+// Convert an amount with a rate table, or null if either currency has no
+// rate
+exports.convert = (amount, rates, from, to) => {
+  const rate = exports.getExchangeRate(rates, from, to);
+  return rate === null ? null : exports.roundAmount(amount * rate, to);
+};
+
+// The smallest amount Stripe will charge in `chargeCurrency`, in `currency`
+// (rounded up to its smallest unit), or null if either has no rate
+exports.getMinimumCharge = (
+  rates,
+  chargeCurrency,
+  currency = chargeCurrency
+) => {
+  const code = String(chargeCurrency).toUpperCase();
+  const [minimum, minimumCurrency] = MIN_CHARGE_AMOUNTS[code]
+    ? [MIN_CHARGE_AMOUNTS[code], code]
+    : [MIN_CHARGE_AMOUNTS[BASE_CURRENCY], BASE_CURRENCY];
+  const rate = exports.getExchangeRate(rates, minimumCurrency, currency);
+  if (rate === null) return null;
+
+  const unit = isZeroDecimal(currency) ? 1 : 0.01;
+  // Nudged down first so float error can't round an exact amount up a unit
+  return exports.roundAmount(
+    Math.ceil((minimum * rate) / unit - 1e-9) * unit,
+    currency
+  );
+};
+
+// A quote's amounts in another currency, for display
+exports.convertQuote = (quote, rate, currency) => {
+  const amount = (value) => exports.roundAmount(value * rate, currency);
+  return {
+    currency,
+    exchangeRate: rate,
+    subtotal: amount(quote.subtotal),
+    discountAmount: amount(quote.discountAmount),
+    fees: quote.fees.map((fee) => ({ ...fee, amount: amount(fee.amount) })),
+    taxes: quote.taxes.map((tax) => ({ ...tax, amount: amount(tax.amount) })),
+    total: amount(quote.total),
+  };
+};
@@ -10,45 +10,13 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-exports.sendVerificationEmail = async (email, token, firstName) => {
-  const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
-
-  const mailOptions = {
+// Email channel provider for the notification service. Message content
+// comes from config/notificationTemplates.js.
+exports.send = async ({ to, subject, html }) => {
+  await transporter.sendMail({
     from: process.env.EMAIL_USER,
-    to: email,
-    subject: "Verify your AbodeX account",
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Welcome to AbodeX, ${firstName}!</h2>
-        <p>Thank you for registering. Please verify your email address to complete your registration.</p>
-        <a href="${verificationUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">Verify Email</a>
-        <p>If the button doesn't work, copy and paste this link into your browser:</p>
-        <p>${verificationUrl}</p>
-      </div>
-    `,
-  };
-
-  await transporter.sendMail(mailOptions);
-};
-
-exports.sendPasswordResetEmail = async (email, token, firstName) => {
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
-
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: "Reset your AbodeX password",
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Password Reset Request</h2>
-        <p>Hello ${firstName},</p>
-        <p>We received a request to reset your password. Click the button below to proceed.</p>
-        <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a>
-        <p>If you didn't request a password reset, please ignore this email.</p>
-        <p>This link will expire in 1 hour.</p>
-      </div>
-    `,
-  };
-
-  await transporter.sendMail(mailOptions);
+    to,
+    subject,
+    html,
+  });
 };
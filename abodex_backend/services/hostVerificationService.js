@@ -0,0 +1,98 @@
+const Host = require("../models/Host");
+const User = require("../models/User");
+const Property = require("../models/Property");
+const { notify } = require("./notificationService");
+
+// Statuses a reviewer may move an application to from each status. Hosts
+// move it back to "submitted" themselves by resubmitting documents.
+const REVIEW_TRANSITIONS = {
+  submitted: ["under_review", "needs_more_info", "rejected", "approved"],
+  under_review: ["needs_more_info", "rejected", "approved"],
+  needs_more_info: ["under_review", "rejected"],
+  rejected: [],
+  approved: ["rejected"],
+};
+
+const RESUBMITTABLE = ["needs_more_info", "rejected"];
+
+exports.VERIFICATION_STATUSES = Object.keys(REVIEW_TRANSITIONS);
+
+exports.canReview = (host, status) =>
+  (REVIEW_TRANSITIONS[host.verificationStatus] || []).includes(status);
+
+exports.canResubmit = (host) => RESUBMITTABLE.includes(host.verificationStatus);
+
+// Move a host application to a new status, record it in the history and let
+// the host know by email. The caller checks the transition is allowed.
+// Applicants get the host role on approval and lose it on rejection, and
+// their listings become visible on approval (and hidden when revoked).
+exports.setVerificationStatus = async (
+  host,
+  status,
+  { note, reviewer } = {}
+) => {
+  const wasVerified = host.isVerified;
+  host.verificationStatus = status;
+  host.isVerified = status === "approved";
+  if (status === "approved") host.verificationDate = new Date();
+  host.verificationHistory.push({ status, note, reviewer });
+
+  await host.save();
+
+  if (host.isVerified !== wasVerified) {
+    await Property.updateMany(
+      { host: host._id },
+      { hostVerified: host.isVerified }
+    );
+  }
+  if (host.isVerified && !wasVerified) {
+    await Property.updateMany(
+      { host: host._id, isActive: true },
+      { listedAt: new Date() }
+    );
+  }
+
+  const user = await User.findById(host.user);
+  if (!user) return host;
+
+  const role = { approved: "host", rejected: "guest" }[status];
+  if (role && user.role !== "admin" && user.role !== role) {
+    user.role = role;
+    await user.save();
+  }
+
+  await notify(user, "host_verification_updated", { status, note });
+
+  return host;
+};
+
+// Migration for data from before host verification: hosts that predate it
+// (no verificationStatus) are approved so their listings stay visible, and
+// every property's hostVerified is set from its host. Safe to run again.
+exports.backfillHostVerification = async () => {
+  const approved = await Host.updateMany(
+    { verificationStatus: { $exists: false } },
+    {
+      verificationStatus: "approved",
+      isVerified: true,
+      verificationDate: new Date(),
+      $push: {
+        verificationHistory: {
+          status: "approved",
+          note: "Approved as an existing host when verification was introduced",
+        },
+      },
+    }
+  );
+
+  let properties = 0;
+  for await (const host of Host.find().select("isVerified").cursor()) {
+    const result = await Property.updateMany(
+      { host: host._id, hostVerified: { $ne: host.isVerified } },
+      { hostVerified: host.isVerified }
+    );
+    properties += result.modifiedCount;
+  }
+
+  return { hostsApproved: approved.modifiedCount, properties };
+};
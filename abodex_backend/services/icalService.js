@@ -0,0 +1,344 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { toNight } = require("./availabilityService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+// Same limit as .ics uploads
+const MAX_CALENDAR_BYTES = 1024 * 1024;
+
+// Addresses calendar feeds may not point at, so hosts can't make the server
+// fetch from itself or the internal network: unspecified, private,
+// loopback, link-local (including cloud metadata endpoints), multicast and
+// reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isPublicAddress = (address) =>
+  !blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const NOT_PUBLIC = "Calendar URL must point to a public address";
+
+// dns.lookup for outgoing calendar requests that refuses non-public
+// addresses. Checking the address actually connected to also covers
+// hostnames that resolve differently on a second lookup.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!addresses.every((a) => isPublicAddress(a.address))) {
+      return callback(new Error(NOT_PUBLIC));
+    }
+    callback(null, address, family);
+  });
+};
+
+const toHttpUrl = (url) => new URL(url.replace(/^webcal:\/\//i, "https://"));
+
+// Hostname of a URL, without the brackets of IPv6 literals
+const getHost = (url) => url.hostname.replace(/^\[|\]$/g, "");
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(
+    d.getUTCDate()
+  )}`;
+};
+
+const formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${formatDate(d)}T${pad(d.getUTCHours())}${pad(
+    d.getUTCMinutes()
+  )}${pad(d.getUTCSeconds())}Z`;
+};
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets must be folded (RFC 5545, 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 73) {
+    parts.push((i === 0 ? "" : " ") + line.slice(i, i + 73));
+  }
+  return parts.join("\r\n");
+};
+
+// Build an iCalendar feed of all-day events. Each event needs uid, start,
+// end (exclusive, i.e. the check-out day) and summary.
+exports.buildCalendar = (name, events) => {
+  const now = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AbodeX//Availability//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// DATE (20260101) or DATE-TIME (20260101T150000Z / 20260101T150000) values.
+// Floating and TZID times are read as UTC, which is enough to find the day.
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    value.trim()
+  );
+  if (!match) return null;
+
+  const [, y, m, d, hh = "00", mm = "00", ss = "00"] = match;
+  return new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+};
+
+const unescapeText = (text) =>
+  text.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+
+// Parse the VEVENTs of an .ics document into blocked date ranges
+// ({ uid, summary, startDate, endDate }), end date exclusive.
+exports.parseCalendar = (text) => {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, "") // unfold continuation lines
+    .split(/\r?\n/);
+
+  if (!lines.some((line) => line.trim() === "BEGIN:VCALENDAR")) {
+    throw new Error("Not an iCalendar file");
+  }
+
+  const ranges = [];
+  let event = null;
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trimEnd();
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+      return;
+    }
+    if (line === "END:VEVENT") {
+      if (event && event.start && event.status !== "CANCELLED") {
+        const startDate = toNight(event.start);
+        let endDate = event.end ? toNight(event.end) : null;
+
+        // Events without an end, or starting and ending on the same day,
+        // block that one night
+        if (!endDate || endDate <= startDate) {
+          endDate = new Date(startDate.getTime() + DAY_MS);
+        }
+
+        ranges.push({
+          uid: event.uid,
+          summary: event.summary,
+          startDate,
+          endDate,
+        });
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    const name = line.slice(0, separator).split(";")[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === "DTSTART") event.start = parseDateValue(value);
+    else if (name === "DTEND") event.end = parseDateValue(value);
+    else if (name === "UID") event.uid = value.trim();
+    else if (name === "SUMMARY") event.summary = unescapeText(value);
+    else if (name === "STATUS") event.status = value.trim().toUpperCase();
+  });
+
+  return ranges;
+};
+
+// express-validator custom check that a calendar URL's host resolves only
+// to public addresses
+exports.assertPublicCalendarUrl = async (url) => {
+  const host = getHost(toHttpUrl(url));
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new Error("Calendar URL host could not be found");
+  }
+
+  if (!addresses.every((a) => isPublicAddress(a.address))) {
+    throw new Error(NOT_PUBLIC);
+  }
+  return true;
+};
+
+// GET a calendar feed's body, following a few redirects. Only public
+// addresses are contacted and bodies over MAX_CALENDAR_BYTES are refused.
+const fetchCalendarText = (url, redirects = 0) =>
+  new Promise((resolve, reject) => {
+    const target = toHttpUrl(url);
+    if (!["http:", "https:"].includes(target.protocol)) {
+      return reject(new Error("Calendar URL must use http or https"));
+    }
+    // IP literals are connected to without a lookup
+    const host = getHost(target);
+    if (net.isIP(host) && !isPublicAddress(host)) {
+      return reject(new Error(NOT_PUBLIC));
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.get(
+      target,
+      { lookup: publicLookup, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) },
+      (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            return reject(new Error("Calendar URL redirects too many times"));
+          }
+          return resolve(
+            fetchCalendarText(
+              new URL(headers.location, target).toString(),
+              redirects + 1
+            )
+          );
+        }
+
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          return reject(
+            new Error(`Calendar request failed with status ${statusCode}`)
+          );
+        }
+
+        const tooLarge = new Error("Calendar is larger than 1 MB");
+        if (parseInt(headers["content-length"]) > MAX_CALENDAR_BYTES) {
+          return request.destroy(tooLarge);
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > MAX_CALENDAR_BYTES) return request.destroy(tooLarge);
+          chunks.push(chunk);
+        });
+        response.on("end", () =>
+          resolve(Buffer.concat(chunks).toString("utf8"))
+        );
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+  });
+
+exports.fetchCalendar = async (url) =>
+  exports.parseCalendar(await fetchCalendarText(url));
+
+// Swap the blocks previously imported from one external calendar for a fresh
+// set. Host-managed ranges and other calendars' blocks are left untouched.
+exports.replaceImportedBlocks = (property, calendarId, ranges) => {
+  const kept = property.availability.filter(
+    (range) =>
+      !(
+        range.source === "ical" &&
+        range.externalCalendar &&
+        range.externalCalendar.equals(calendarId)
+      )
+  );
+
+  property.availability = [
+    ...kept,
+    ...ranges.map((range) => ({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      isAvailable: false,
+      source: "ical",
+      externalCalendar: calendarId,
+      externalUid: range.uid,
+      summary: range.summary,
+    })),
+  ];
+};
+
+// A property's availability with its manual ranges replaced by `ranges`
+// from the host. Imported blocks are kept, and only the fields a host sets
+// are taken from each range, so a host can't pass blocks off as imported.
+exports.withManualRanges = (availability, ranges) => [
+  ...availability.filter((range) => range.source === "ical"),
+  ...ranges.map(({ startDate, endDate, isAvailable, summary }) => ({
+    startDate,
+    endDate,
+    isAvailable,
+    summary,
+    source: "manual",
+  })),
+];
+
+// Re-import one URL-backed external calendar into the property. Failures are
+// recorded on the calendar entry instead of thrown, so one broken feed does
+// not stop the others from syncing. The caller saves the property.
+exports.syncExternalCalendar = async (property, calendar) => {
+  if (!calendar.url) return;
+
+  try {
+    const ranges = await exports.fetchCalendar(calendar.url);
+    exports.replaceImportedBlocks(property, calendar._id, ranges);
+    calendar.lastSyncedAt = new Date();
+    calendar.lastSyncError = undefined;
+  } catch (error) {
+    console.error(`Calendar sync failed for ${calendar.url}:`, error.message);
+    calendar.lastSyncError = error.message;
+  }
+};
@@ -0,0 +1,283 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const Payout = require("../models/Payout");
+const Host = require("../models/Host");
+const Property = require("../models/Property");
+const Settings = require("../models/Settings");
+const { round } = require("./pricingService");
+
+const EARNING_KINDS = ["booking", "refund"];
+
+// The ledger is kept in the base currency. Bookings are converted at the
+// rate stored when they were made; older bookings were made in it.
+const toBaseAmount = (booking, amount) =>
+  round(amount * (booking.baseExchangeRate || 1));
+
+// Insert the legs of one transaction. Returns false if the transaction was
+// already recorded.
+const recordTransaction = async (legs) => {
+  try {
+    await LedgerEntry.insertMany(legs);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const getBookingHostId = async (booking) => {
+  if (booking.property && booking.property.host) return booking.property.host;
+  const property = await Property.findById(booking.property).select("host");
+  return property && property.host;
+};
+
+// Host.earnings is the host's net from bookings less refunds, kept for the
+// admin host rankings
+exports.syncHostEarnings = async (hostId) => {
+  const [totals] = await LedgerEntry.aggregate([
+    {
+      $match: {
+        host: new mongoose.Types.ObjectId(hostId),
+        account: "host_payable",
+        kind: { $in: EARNING_KINDS },
+      },
+    },
+    { $group: { _id: null, earnings: { $sum: "$amount" } } },
+  ]);
+
+  await Host.updateOne(
+    { _id: hostId },
+    { earnings: round(totals ? totals.earnings : 0) }
+  );
+};
+
+// Reverse whatever part of the booking's refunds has not been reversed yet.
+// Commission is handed back at the rate charged on the booking, and the
+// platform takes back the matching share of any promo code it funded.
+// Refunds made before the booking completed are settled when its earnings
+// are recorded.
+exports.recordRefund = async (booking) => {
+  const earning = await LedgerEntry.findOne({
+    transaction: `booking:${booking._id}`,
+    account: "host_payable",
+  });
+  if (!earning) return false;
+
+  const reversed = await LedgerEntry.find({
+    booking: booking._id,
+    kind: "refund",
+    account: "guest_payments",
+  });
+  const amount = round(
+    toBaseAmount(booking, booking.refundedAmount || 0) -
+      reversed.reduce((sum, entry) => sum + entry.amount, 0)
+  );
+  if (amount <= 0) return false;
+
+  const promoShare = booking.promoDiscount
+    ? round((amount * booking.promoDiscount) / booking.totalAmount)
+    : 0;
+  const gross = round(amount + promoShare);
+  const commission = round(gross * earning.commissionRate);
+  const common = {
+    transaction: `refund:${booking._id}:${booking.refundedAmount}`,
+    kind: "refund",
+    host: earning.host,
+    booking: booking._id,
+    commissionRate: earning.commissionRate,
+    description: "Guest refund",
+  };
+
+  const recorded = await recordTransaction([
+    { ...common, account: "guest_payments", amount },
+    ...(promoShare
+      ? [{ ...common, account: "platform_promotions", amount: promoShare }]
+      : []),
+    { ...common, account: "platform_commission", amount: -commission },
+    {
+      ...common,
+      account: "host_payable",
+      amount: -round(gross - commission),
+    },
+  ]);
+
+  if (recorded) await exports.syncHostEarnings(earning.host);
+  return recorded;
+};
+
+// Split a completed booking's payment into platform commission and the
+// host's net. Commission and the host's net are worked out on the price
+// before any promo code, which the platform pays for. Safe to call more
+// than once per booking.
+exports.recordBookingEarnings = async (booking) => {
+  const hostId = await getBookingHostId(booking);
+  const { commissionRate } = await Settings.getSettings();
+
+  const paid = toBaseAmount(booking, booking.totalAmount);
+  const promoDiscount = toBaseAmount(booking, booking.promoDiscount || 0);
+  const gross = round(paid + promoDiscount);
+  const commission = round(gross * commissionRate);
+  const common = {
+    transaction: `booking:${booking._id}`,
+    kind: "booking",
+    host: hostId,
+    booking: booking._id,
+    commissionRate,
+    description: "Completed booking",
+  };
+
+  const recorded = await recordTransaction([
+    { ...common, account: "guest_payments", amount: -paid },
+    ...(promoDiscount
+      ? [
+          {
+            ...common,
+            account: "platform_promotions",
+            amount: -promoDiscount,
+          },
+        ]
+      : []),
+    { ...common, account: "platform_commission", amount: commission },
+    { ...common, account: "host_payable", amount: round(gross - commission) },
+  ]);
+
+  if (recorded) {
+    await exports.syncHostEarnings(hostId);
+    await exports.recordRefund(booking);
+  }
+  return recorded;
+};
+
+exports.getHostBalance = async (hostId) => {
+  const [totals] = await LedgerEntry.aggregate([
+    {
+      $match: {
+        host: new mongoose.Types.ObjectId(hostId),
+        account: "host_payable",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: "$amount" },
+        available: {
+          $sum: {
+            $cond: [{ $ifNull: ["$payout", false] }, 0, "$amount"],
+          },
+        },
+        earnings: {
+          $sum: {
+            $cond: [{ $in: ["$kind", EARNING_KINDS] }, "$amount", 0],
+          },
+        },
+        paidOut: {
+          $sum: { $cond: [{ $eq: ["$kind", "payout"] }, "$amount", 0] },
+        },
+      },
+    },
+  ]);
+
+  if (!totals) {
+    return {
+      balance: 0,
+      available: 0,
+      pendingPayout: 0,
+      earnings: 0,
+      paidOut: 0,
+    };
+  }
+
+  return {
+    balance: round(totals.balance),
+    available: round(totals.available),
+    pendingPayout: round(totals.balance - totals.available),
+    earnings: round(totals.earnings),
+    paidOut: round(-totals.paidOut),
+  };
+};
+
+// Gather each host's unbatched entries into a pending payout. Hosts whose
+// unbatched total is not positive (e.g. refunds after a payout) are skipped
+// and carry the amount forward. Returns the payouts created.
+exports.createPayoutBatches = async () => {
+  const unbatched = {
+    account: "host_payable",
+    kind: { $in: EARNING_KINDS },
+    payout: null,
+  };
+  const hostIds = await LedgerEntry.distinct("host", unbatched);
+  const payouts = [];
+
+  for (const hostId of hostIds) {
+    const entries = await LedgerEntry.find({ ...unbatched, host: hostId });
+    const amount = round(entries.reduce((sum, e) => sum + e.amount, 0));
+    if (amount <= 0) continue;
+
+    // Claim the entries, then price the payout from what was actually
+    // claimed in case a concurrent run took some of them
+    const payout = await Payout.create({ host: hostId, amount });
+    await LedgerEntry.updateMany(
+      { ...unbatched, _id: { $in: entries.map((e) => e._id) } },
+      { payout: payout._id }
+    );
+    const claimed = await LedgerEntry.find({ payout: payout._id });
+    payout.amount = round(claimed.reduce((sum, e) => sum + e.amount, 0));
+    payout.entryCount = claimed.length;
+
+    if (payout.amount <= 0) {
+      await LedgerEntry.updateMany(
+        { payout: payout._id },
+        { $unset: { payout: 1 } }
+      );
+      await payout.deleteOne();
+      continue;
+    }
+
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  return payouts;
+};
+
+// Record that a pending payout was transferred to the host. Returns null if
+// it was not pending.
+exports.markPayoutPaid = async (payoutId, reference) => {
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: "pending" },
+    { status: "paid", paidAt: new Date(), reference },
+    { new: true }
+  );
+  if (!payout) return null;
+
+  const common = {
+    transaction: `payout:${payout._id}`,
+    kind: "payout",
+    host: payout.host,
+    payout: payout._id,
+    description: "Payout",
+  };
+  await recordTransaction([
+    { ...common, account: "host_payable", amount: -payout.amount },
+    { ...common, account: "payouts", amount: payout.amount },
+  ]);
+
+  return payout;
+};
+
+// A failed transfer puts the entries back so the next batch picks them up
+exports.markPayoutFailed = async (payoutId, reason) => {
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: "pending" },
+    { status: "failed", failureReason: reason },
+    { new: true }
+  );
+  if (!payout) return null;
+
+  await LedgerEntry.updateMany(
+    { payout: payout._id, kind: { $in: EARNING_KINDS } },
+    { $unset: { payout: 1 } }
+  );
+
+  return payout;
+};
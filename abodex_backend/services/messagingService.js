@@ -0,0 +1,206 @@
+const Booking = require("../models/Booking");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Host = require("../models/Host");
+const Property = require("../models/Property");
+const { notify } = require("./notificationService");
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Nine or more digits, optionally separated, so dates and prices survive
+const PHONE_PATTERN = /\+?\d(?:[\s\-().]*\d){8,}/g;
+const PREVIEW_LENGTH = 100;
+
+exports.maskContactDetails = (text) =>
+  text
+    .replace(EMAIL_PATTERN, "[email hidden]")
+    .replace(PHONE_PATTERN, "[phone hidden]");
+
+// Guests and hosts may share contact details once the guest holds a
+// confirmed booking: the thread's own booking, or for an inquiry, any
+// booking of the property.
+exports.canShareContacts = async (conversation) => {
+  const filter = conversation.booking
+    ? { _id: conversation.booking }
+    : { property: conversation.property, guest: conversation.guest };
+
+  return Boolean(
+    await Booking.exists({
+      ...filter,
+      status: { $in: ["confirmed", "completed"] },
+    })
+  );
+};
+
+// Find or start the thread for a booking, or the guest's inquiry thread for
+// a property when no booking is given
+exports.findOrCreateConversation = async ({ property, booking, guest }) => {
+  const filter = booking
+    ? { kind: "booking", booking: booking._id }
+    : { kind: "inquiry", property: property._id, guest };
+
+  const existing = await Conversation.findOne(filter);
+  if (existing) return existing;
+
+  try {
+    return await Conversation.create({
+      kind: filter.kind,
+      property: property._id,
+      booking: booking ? booking._id : undefined,
+      guest,
+      host: property.host,
+    });
+  } catch (error) {
+    // Started concurrently by the other participant
+    if (error.code !== 11000) throw error;
+    return Conversation.findOne(filter);
+  }
+};
+
+// Page through a thread, newest first. Contact details are masked unless
+// `unmasked` or the participants may already share them.
+exports.listMessages = async (
+  conversation,
+  { page = 1, limit = 20, unmasked = false }
+) => {
+  const messages = await Message.find({ conversation: conversation._id })
+    .populate("sender", "firstName lastName")
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await Message.countDocuments({
+    conversation: conversation._id,
+  });
+
+  const mask = !unmasked && !(await exports.canShareContacts(conversation));
+
+  return {
+    messages: mask
+      ? messages.map((message) => ({
+          ...message,
+          body: exports.maskContactDetails(message.body),
+        }))
+      : messages,
+    contactsShared: !mask,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total,
+  };
+};
+
+// Add a message and bump the other side's unread count. Admin messages
+// count as unread for both participants.
+exports.sendMessage = async (conversation, sender, senderRole, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    senderRole,
+    body,
+  });
+
+  const unread = {
+    guest: { hostUnreadCount: 1 },
+    host: { guestUnreadCount: 1 },
+    admin: { guestUnreadCount: 1, hostUnreadCount: 1 },
+  }[senderRole];
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $inc: unread,
+      lastMessageAt: message.createdAt,
+      lastMessagePreview: exports
+        .maskContactDetails(body)
+        .slice(0, PREVIEW_LENGTH),
+    }
+  );
+
+  const recipients = [];
+  if (senderRole !== "guest") recipients.push(conversation.guest);
+  if (senderRole !== "host") {
+    const host = await Host.findById(conversation.host).select("user");
+    if (host) recipients.push(host.user);
+  }
+
+  const property = await Property.findById(conversation.property).select(
+    "title"
+  );
+  for (const recipient of recipients) {
+    await notify(recipient, "new_message", {
+      conversationId: conversation._id,
+      senderName: senderRole === "admin" ? "AbodeX Support" : sender.firstName,
+      propertyTitle: property ? property.title : "your stay",
+      preview: exports.maskContactDetails(body).slice(0, PREVIEW_LENGTH),
+    });
+  }
+
+  return message;
+};
+
+// Migration for threads from before `kind` was stored. Duplicate inquiry
+// threads (possible before the unique index) are merged into the oldest,
+// so the index can be built. Safe to run again.
+exports.backfillConversationKinds = async () => {
+  const bookings = await Conversation.updateMany(
+    { kind: { $exists: false }, booking: { $exists: true } },
+    { kind: "booking" }
+  );
+  const inquiries = await Conversation.updateMany(
+    { kind: { $exists: false }, booking: { $exists: false } },
+    { kind: "inquiry" }
+  );
+
+  const duplicates = await Conversation.aggregate([
+    { $match: { kind: "inquiry" } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { property: "$property", guest: "$guest" },
+        ids: { $push: "$_id" },
+        guestUnreadCount: { $sum: "$guestUnreadCount" },
+        hostUnreadCount: { $sum: "$hostUnreadCount" },
+        lastMessageAt: { $max: "$lastMessageAt" },
+      },
+    },
+    { $match: { "ids.1": { $exists: true } } },
+  ]);
+
+  for (const {
+    ids: [kept, ...merged],
+    ...totals
+  } of duplicates) {
+    await Message.updateMany(
+      { conversation: { $in: merged } },
+      { conversation: kept }
+    );
+    const latest = await Message.findOne({ conversation: kept }).sort({
+      createdAt: -1,
+    });
+    await Conversation.updateOne(
+      { _id: kept },
+      {
+        guestUnreadCount: totals.guestUnreadCount,
+        hostUnreadCount: totals.hostUnreadCount,
+        lastMessageAt: totals.lastMessageAt,
+        ...(latest && {
+          lastMessagePreview: exports
+            .maskContactDetails(latest.body)
+            .slice(0, PREVIEW_LENGTH),
+        }),
+      }
+    );
+    await Conversation.deleteMany({ _id: { $in: merged } });
+  }
+
+  return {
+    updated: bookings.modifiedCount + inquiries.modifiedCount,
+    merged: duplicates.reduce((sum, d) => sum + d.ids.length - 1, 0),
+  };
+};
+
+exports.markRead = (conversation, role) =>
+  Conversation.updateOne(
+    { _id: conversation._id },
+    { [role === "guest" ? "guestUnreadCount" : "hostUnreadCount"]: 0 }
+  );
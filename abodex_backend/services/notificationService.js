@@ -0,0 +1,154 @@
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const OutboxMessage = require("../models/OutboxMessage");
+const emailService = require("./emailService");
+const smsService = require("./smsService");
+const { NOTIFICATION_EVENTS } = require("../config/notificationTemplates");
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+// Delivery functions for the queued channels. Each takes the rendered
+// message ({ to, subject, html, text }) and throws on failure.
+const providers = {
+  email: emailService.send,
+  sms: smsService.send,
+};
+
+exports.registerProvider = (channel, send) => {
+  providers[channel] = send;
+};
+
+const wantsChannel = (user, event, channel) => {
+  if (NOTIFICATION_EVENTS[event].mandatory) return true;
+
+  const preferences = user.notificationPreferences || {};
+  const override = preferences.events && preferences.events.get(event);
+  if (override && typeof override[channel] === "boolean") {
+    return override[channel];
+  }
+  return preferences[channel] !== false;
+};
+
+// Notify a user (document or ID) of an event on every channel the event has
+// a template for and the user has not turned off. In-app notifications are
+// stored straight away; email and SMS go through the outbox. `channels`
+// limits delivery to some channels. Never throws, so a notification
+// problem cannot fail the request that raised it.
+exports.notify = async (userOrId, event, data = {}, { channels } = {}) => {
+  try {
+    const definition = NOTIFICATION_EVENTS[event];
+    if (!definition) throw new Error(`Unknown notification event: ${event}`);
+
+    const user =
+      userOrId && userOrId.email ? userOrId : await User.findById(userOrId);
+    if (!user) return;
+
+    const wants = (channel) =>
+      (!channels || channels.includes(channel)) &&
+      wantsChannel(user, event, channel);
+
+    if (definition.inApp && wants("inApp")) {
+      await Notification.create({
+        user: user._id,
+        event,
+        ...definition.inApp(data, user),
+        data,
+      });
+    }
+
+    const queued = [];
+    if (definition.email && user.email && wants("email")) {
+      queued.push({
+        channel: "email",
+        to: user.email,
+        ...definition.email(data, user),
+      });
+    }
+    if (definition.sms && user.phone && wants("sms")) {
+      queued.push({
+        channel: "sms",
+        to: user.phone,
+        text: definition.sms(data, user),
+      });
+    }
+    if (!queued.length) return;
+
+    await OutboxMessage.insertMany(
+      queued.map((message) => ({ ...message, user: user._id, event }))
+    );
+
+    // Try to deliver now rather than waiting for the next worker run
+    exports.processOutbox().catch((error) => {
+      console.error("Outbox processing failed:", error);
+    });
+  } catch (error) {
+    console.error(`Notification ${event} failed:`, error);
+  }
+};
+
+const deliver = async (message) => {
+  try {
+    const send = providers[message.channel];
+    if (!send) throw new Error(`No provider for ${message.channel}`);
+
+    await send({
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      { status: "sent", sentAt: new Date(), $unset: { lockedUntil: 1 } }
+    );
+  } catch (error) {
+    // Back off exponentially: 1, 2, 4, 8... minutes
+    const giveUp = message.attempts >= MAX_ATTEMPTS;
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      {
+        status: giveUp ? "failed" : "pending",
+        lastError: error.message,
+        nextAttemptAt: new Date(
+          Date.now() + RETRY_BASE_MS * 2 ** (message.attempts - 1)
+        ),
+        $unset: { lockedUntil: 1 },
+      }
+    );
+  }
+};
+
+// Send due outbox messages, at most `limit` per run. Each message is claimed
+// atomically, so several workers (or server instances) can run this at
+// once. Messages left "sending" by a crashed worker are retried once their
+// lock runs out. Returns how many messages were attempted.
+exports.processOutbox = async ({ limit = 20 } = {}) => {
+  let attempted = 0;
+
+  while (attempted < limit) {
+    const now = new Date();
+    const message = await OutboxMessage.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        status: "sending",
+        lockedUntil: new Date(now.getTime() + SEND_LOCK_MS),
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!message) break;
+
+    await deliver(message);
+    attempted += 1;
+  }
+
+  return attempted;
+};
@@ -1,15 +1,20 @@
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { toMinorUnits } = require("./currencyService");
 
+// Amounts are in major units (e.g. dollars) of the given currency. With
+// `manualCapture` the card is only authorized until capturePaymentIntent.
 exports.createPaymentIntent = async (
   amount,
   currency = "usd",
-  metadata = {}
+  metadata = {},
+  { manualCapture = false } = {}
 ) => {
   try {
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
+      amount: toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
       metadata,
+      ...(manualCapture && { capture_method: "manual" }),
     });
     return paymentIntent;
   } catch (error) {
@@ -28,11 +33,22 @@ exports.confirmPaymentIntent = async (paymentIntentId) => {
   }
 };
 
-exports.refundPayment = async (paymentIntentId, amount) => {
+exports.capturePaymentIntent = async (paymentIntentId) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.capture(paymentIntentId);
+    return paymentIntent;
+  } catch (error) {
+    console.error("Stripe error:", error);
+    throw new Error("Payment capture failed");
+  }
+};
+
+// Refunds are in the currency the payment was made in
+exports.refundPayment = async (paymentIntentId, amount, currency = "usd") => {
   try {
     const refund = await stripe.refunds.create({
       payment_intent: paymentIntentId,
-      amount: Math.round(amount * 100),
+      amount: toMinorUnits(amount, currency),
     });
     return refund;
   } catch (error) {
@@ -40,3 +56,26 @@ exports.refundPayment = async (paymentIntentId, amount) => {
     throw new Error("Refund processing failed");
   }
 };
+
+exports.constructWebhookEvent = (payload, signature) => {
+  try {
+    return stripe.webhooks.constructEvent(
+      payload,
+      signature,
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    console.error("Stripe webhook error:", error.message);
+    throw new Error("Invalid webhook signature");
+  }
+};
+
+exports.cancelPaymentIntent = async (paymentIntentId) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId);
+    return paymentIntent;
+  } catch (error) {
+    console.error("Stripe error:", error);
+    throw new Error("Payment cancellation failed");
+  }
+};
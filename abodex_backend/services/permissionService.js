@@ -0,0 +1,51 @@
+const StaffRole = require("../models/StaffRole");
+const User = require("../models/User");
+const { PERMISSIONS, SYSTEM_ROLES } = require("../config/permissions");
+
+// Create or update the built-in roles
+exports.ensureSystemRoles = async () => {
+  await Promise.all(
+    SYSTEM_ROLES.map((role) =>
+      StaffRole.updateOne(
+        { name: role.name },
+        {
+          $set: {
+            description: role.description,
+            permissions: role.permissions,
+            isSystem: true,
+          },
+        },
+        { upsert: true }
+      )
+    )
+  );
+};
+
+// Permissions granted to a staff account through its roles. An account
+// without roles has none.
+exports.getPermissions = async (user) => {
+  if (user.role !== "admin" || !user.staffRoles || !user.staffRoles.length) {
+    return new Set();
+  }
+
+  const roles = await StaffRole.find({ _id: { $in: user.staffRoles } });
+  const granted = roles.flatMap((role) => role.permissions);
+
+  return new Set(granted.includes("*") ? PERMISSIONS : granted);
+};
+
+// Migration for admin accounts from before staff roles, which had full
+// access: they are made super admins. Returns how many were updated.
+exports.backfillStaffRoles = async () => {
+  await exports.ensureSystemRoles();
+  const superAdmin = await StaffRole.findOne({ name: "super_admin" });
+
+  const result = await User.updateMany(
+    {
+      role: "admin",
+      $or: [{ staffRoles: { $exists: false } }, { staffRoles: { $size: 0 } }],
+    },
+    { staffRoles: [superAdmin._id] }
+  );
+  return result.modifiedCount;
+};
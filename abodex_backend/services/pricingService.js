@@ -0,0 +1,242 @@
+const { getNights, toNight } = require("./availabilityService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SERVICE_FEE_RATE = parseFloat(process.env.SERVICE_FEE_RATE) || 0;
+const TAX_RATE = parseFloat(process.env.TAX_RATE) || 0;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+exports.round = round;
+
+// Friday and Saturday nights, as UTC day numbers (0 = Sunday)
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+// Rate charged for a single night. Most specific rule wins: a per-date
+// override, then a season (with its own weekend price if set), then the
+// weekend price, then the base price.
+exports.getNightlyRate = (property, night) => {
+  const rules = property.rateRules || {};
+  const date = toNight(night);
+
+  const override = (rules.overrides || []).find(
+    (o) => toNight(o.date).getTime() === date.getTime()
+  );
+  if (override) return override.pricePerNight;
+
+  const weekendDays =
+    rules.weekendDays && rules.weekendDays.length
+      ? rules.weekendDays
+      : DEFAULT_WEEKEND_DAYS;
+  const isWeekend = weekendDays.includes(date.getUTCDay());
+
+  const season = (rules.seasons || []).find(
+    (s) => toNight(s.startDate) <= date && date <= toNight(s.endDate)
+  );
+  if (season) {
+    return isWeekend && season.weekendPrice
+      ? season.weekendPrice
+      : season.pricePerNight;
+  }
+
+  if (isWeekend && rules.weekendPrice) return rules.weekendPrice;
+
+  return property.pricePerNight;
+};
+
+// Average nightly rate over a stay, before discounts and fees
+exports.getAverageNightlyRate = (property, checkIn, checkOut) => {
+  const nights = getNights(checkIn, checkOut);
+  if (nights.length === 0) return property.pricePerNight;
+
+  const subtotal = nights.reduce(
+    (sum, night) => sum + exports.getNightlyRate(property, night),
+    0
+  );
+  return round(subtotal / nights.length);
+};
+
+// Aggregation expression for a property's rate on `night` (UTC midnight),
+// following the same rules as getNightlyRate
+const nightlyRateExpression = (night) => {
+  const next = new Date(night.getTime() + DAY_MS);
+  const matching = (input, cond) => ({
+    $filter: { input: { $ifNull: [input, []] }, cond },
+  });
+  const found = (array) => ({ $gt: [{ $size: array }, 0] });
+  const first = (array, field) => ({
+    $let: {
+      vars: { item: { $arrayElemAt: [array, 0] } },
+      in: `$$item.${field}`,
+    },
+  });
+  const weekendDays = {
+    $cond: [
+      found({ $ifNull: ["$rateRules.weekendDays", []] }),
+      "$rateRules.weekendDays",
+      DEFAULT_WEEKEND_DAYS,
+    ],
+  };
+
+  return {
+    $let: {
+      vars: {
+        overrides: matching("$rateRules.overrides", {
+          $and: [
+            { $gte: ["$$this.date", night] },
+            { $lt: ["$$this.date", next] },
+          ],
+        }),
+        seasons: matching("$rateRules.seasons", {
+          $and: [
+            { $lt: ["$$this.startDate", next] },
+            { $gte: ["$$this.endDate", night] },
+          ],
+        }),
+        isWeekend: { $in: [night.getUTCDay(), weekendDays] },
+      },
+      in: {
+        $switch: {
+          branches: [
+            {
+              case: found("$$overrides"),
+              then: first("$$overrides", "pricePerNight"),
+            },
+            {
+              case: found("$$seasons"),
+              then: {
+                $cond: [
+                  {
+                    $and: [
+                      "$$isWeekend",
+                      { $gt: [first("$$seasons", "weekendPrice"), 0] },
+                    ],
+                  },
+                  first("$$seasons", "weekendPrice"),
+                  first("$$seasons", "pricePerNight"),
+                ],
+              },
+            },
+            {
+              case: {
+                $and: ["$$isWeekend", { $gt: ["$rateRules.weekendPrice", 0] }],
+              },
+              then: "$rateRules.weekendPrice",
+            },
+          ],
+          default: "$pricePerNight",
+        },
+      },
+    },
+  };
+};
+
+// Aggregation expression for getAverageNightlyRate, so queries can filter
+// on a stay's price without loading the properties
+exports.averageNightlyRateExpression = (checkIn, checkOut) => {
+  const nights = getNights(checkIn, checkOut);
+  if (nights.length === 0) return "$pricePerNight";
+
+  return {
+    $round: [
+      { $divide: [{ $add: nights.map(nightlyRateExpression) }, nights.length] },
+      2,
+    ],
+  };
+};
+
+const describeDiscount = (discount, coveredNights, totalNights) => {
+  const value =
+    discount.discountType === "percentage"
+      ? `${discount.value}% off`
+      : `${discount.value} off`;
+  const scope =
+    coveredNights === totalNights
+      ? "the whole stay"
+      : `${coveredNights} of ${totalNights} nights`;
+  return `${discount.name || "Discount"}: ${value} ${scope}`;
+};
+
+// Amount a discount takes off the stay. Only nights inside the discount's
+// validity window count, so a discount that overlaps part of the stay
+// applies to that part: percentages to those nights' rates, fixed amounts
+// prorated by the share of nights covered.
+const evaluateDiscount = (discount, nightlyRates) => {
+  const totalNights = nightlyRates.length;
+  if (discount.minNights && totalNights < discount.minNights) return null;
+
+  const from = discount.validFrom ? toNight(discount.validFrom) : null;
+  const until = discount.validUntil ? toNight(discount.validUntil) : null;
+  const covered = nightlyRates.filter(
+    ({ date }) => (!from || date >= from) && (!until || date <= until)
+  );
+  if (covered.length === 0) return null;
+
+  const coveredSubtotal = covered.reduce((sum, n) => sum + n.rate, 0);
+  const amount =
+    discount.discountType === "percentage"
+      ? (coveredSubtotal * discount.value) / 100
+      : (discount.value * covered.length) / totalNights;
+
+  return {
+    name: discount.name,
+    description: discount.description,
+    discountType: discount.discountType,
+    value: discount.value,
+    nights: covered.length,
+    amount: round(Math.min(amount, coveredSubtotal)),
+    reason: describeDiscount(discount, covered.length, totalNights),
+  };
+};
+
+// Itemized price for a stay. POST /bookings charges exactly `total`.
+exports.quoteStay = (property, checkIn, checkOut) => {
+  const nightlyRates = getNights(checkIn, checkOut).map((date) => ({
+    date,
+    rate: exports.getNightlyRate(property, date),
+  }));
+
+  const subtotal = round(nightlyRates.reduce((sum, n) => sum + n.rate, 0));
+
+  // Apply the single best discount
+  const discount = (property.discounts || [])
+    .map((d) => evaluateDiscount(d, nightlyRates))
+    .filter(Boolean)
+    .reduce((best, d) => (!best || d.amount > best.amount ? d : best), null);
+  const discountAmount = discount ? discount.amount : 0;
+
+  const fees = [];
+  if (property.cleaningFee) {
+    fees.push({ name: "Cleaning fee", amount: round(property.cleaningFee) });
+  }
+  if (SERVICE_FEE_RATE) {
+    fees.push({
+      name: "Service fee",
+      amount: round((subtotal - discountAmount) * SERVICE_FEE_RATE),
+    });
+  }
+  const feesAmount = fees.reduce((sum, f) => sum + f.amount, 0);
+
+  const taxes = [];
+  if (TAX_RATE) {
+    taxes.push({
+      name: "Tax",
+      rate: TAX_RATE,
+      amount: round((subtotal - discountAmount + feesAmount) * TAX_RATE),
+    });
+  }
+  const taxesAmount = taxes.reduce((sum, t) => sum + t.amount, 0);
+
+  return {
+    checkIn: toNight(checkIn),
+    checkOut: toNight(checkOut),
+    nights: nightlyRates.length,
+    nightlyRates,
+    subtotal,
+    discount,
+    discountAmount,
+    fees,
+    taxes,
+    total: round(subtotal - discountAmount + feesAmount + taxesAmount),
+  };
+};
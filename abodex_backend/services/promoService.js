@@ -0,0 +1,155 @@
+const Booking = require("../models/Booking");
+const PromoCode = require("../models/PromoCode");
+const PromoRedemption = require("../models/PromoRedemption");
+const { roundAmount } = require("./currencyService");
+const { BASE_CURRENCY } = require("../config/currencies");
+
+exports.findPromoCode = (code) =>
+  PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+
+const countUserRedemptions = (promoCode, userId) =>
+  PromoRedemption.countDocuments({
+    promoCode: promoCode._id,
+    user: userId,
+    status: "active",
+  });
+
+// Check a code can be applied to a stay at `property` costing `total` (in
+// the listing currency). Code amounts are in the base currency, converted
+// with `baseExchangeRate` (base units per listing unit). Stripe won't take
+// a smaller charge than `minimumCharge` (in the listing currency, see
+// currencyService.getMinimumCharge), so a code never discounts the total
+// below it. Returns { discount } in the listing currency or, if the code
+// can't be applied, { error } with a message for the guest.
+exports.checkPromoCode = async (
+  promoCode,
+  { userId, property, total, baseExchangeRate = 1, minimumCharge = 0 }
+) => {
+  const now = new Date();
+  const baseTotal = total * baseExchangeRate;
+  const { targeting = {} } = promoCode;
+
+  if (
+    !promoCode.isActive ||
+    (promoCode.startsAt && promoCode.startsAt > now) ||
+    (promoCode.expiresAt && promoCode.expiresAt <= now)
+  ) {
+    return { error: "Promo code is not valid" };
+  }
+
+  if (
+    promoCode.maxRedemptions &&
+    promoCode.redemptionCount >= promoCode.maxRedemptions
+  ) {
+    return { error: "Promo code has reached its redemption limit" };
+  }
+
+  if (baseTotal < (promoCode.minSpend || 0)) {
+    return {
+      error: `Promo code requires a booking total of at least ${promoCode.minSpend} ${BASE_CURRENCY}`,
+    };
+  }
+
+  const cities = (targeting.cities || []).map((c) => c.toLowerCase());
+  if (
+    cities.length &&
+    !cities.includes(String(property.address.city || "").toLowerCase())
+  ) {
+    return { error: "Promo code is not valid for this location" };
+  }
+
+  const types = targeting.propertyTypes || [];
+  if (types.length && !types.includes(property.type)) {
+    return { error: "Promo code is not valid for this type of property" };
+  }
+
+  if (
+    targeting.firstBookingOnly &&
+    (await Booking.exists({
+      guest: userId,
+      status: { $in: ["confirmed", "completed"] },
+    }))
+  ) {
+    return { error: "Promo code is only valid on your first booking" };
+  }
+
+  if (
+    promoCode.maxRedemptionsPerUser &&
+    (await countUserRedemptions(promoCode, userId)) >=
+      promoCode.maxRedemptionsPerUser
+  ) {
+    return { error: "You have already used this promo code" };
+  }
+
+  const baseAmount =
+    promoCode.discountType === "percentage"
+      ? Math.min(
+          (baseTotal * promoCode.value) / 100,
+          promoCode.maxDiscount || Infinity
+        )
+      : promoCode.value;
+  const amount = baseAmount / baseExchangeRate;
+
+  return {
+    discount: roundAmount(
+      Math.max(0, Math.min(amount, total - minimumCharge)),
+      property.currency
+    ),
+  };
+};
+
+// Record a checked code against a new booking (promoCode and promoDiscount
+// set). The global and per-user limits are claimed atomically, so
+// concurrent bookings can't overshoot them. Returns null if a limit was
+// reached in the meantime.
+exports.redeemPromoCode = async (promoCode, booking) => {
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCode._id,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (!claimed) return null;
+
+  const redemption = await PromoRedemption.create({
+    promoCode: promoCode._id,
+    user: booking.guest,
+    booking: booking._id,
+    amount: booking.promoDiscount,
+  });
+
+  // Another booking by the same guest may have redeemed the code since it
+  // was checked
+  if (
+    promoCode.maxRedemptionsPerUser &&
+    (await countUserRedemptions(promoCode, booking.guest)) >
+      promoCode.maxRedemptionsPerUser
+  ) {
+    await exports.releasePromoRedemption(booking);
+    return null;
+  }
+
+  return redemption;
+};
+
+// Give a booking's code back when the booking is cancelled, so it counts
+// against neither limit. Safe to call more than once.
+exports.releasePromoRedemption = async (booking) => {
+  if (!booking.promoCode) return false;
+
+  const released = await PromoRedemption.findOneAndUpdate(
+    { booking: booking._id, status: "active" },
+    { status: "released", releasedAt: new Date() }
+  );
+  if (!released) return false;
+
+  await PromoCode.updateOne(
+    { _id: released.promoCode },
+    { $inc: { redemptionCount: -1 } }
+  );
+  return true;
+};
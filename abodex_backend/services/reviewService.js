@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const GuestReview = require("../models/GuestReview");
+const Booking = require("../models/Booking");
+const Property = require("../models/Property");
+const { notify } = require("./notificationService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+// Reviews stay blind until the other side has reviewed too, or until this
+// long after check-out
+exports.getRevealDate = (booking) =>
+  new Date(new Date(booking.checkOut).getTime() + REVIEW_WINDOW_DAYS * DAY_MS);
+
+// Filter for reviews other people may see
+exports.VISIBLE = { isHidden: { $ne: true } };
+
+// Publish a booking's reviews: refresh the property's ratings and tell each
+// side about the review they received
+const reveal = async (guestReview, hostReview) => {
+  if (guestReview) {
+    await Review.updatePropertyRatings(guestReview.property);
+
+    const property = await Property.findById(guestReview.property).populate(
+      "host",
+      "user"
+    );
+    await notify(property.host.user, "review_received", {
+      propertyId: property._id,
+      reviewId: guestReview._id,
+      propertyTitle: property.title,
+      rating: guestReview.rating,
+      comment: guestReview.comment,
+    });
+  }
+
+  if (hostReview) {
+    const property = await Property.findById(hostReview.property);
+    await notify(hostReview.guest, "guest_review_received", {
+      bookingId: hostReview.booking,
+      propertyTitle: property.title,
+      rating: hostReview.rating,
+      comment: hostReview.comment,
+    });
+  }
+};
+
+// Reveal both reviews of a booking once both sides have written theirs.
+// Each side is claimed with a conditional update, so concurrent submissions
+// reveal (and notify) once.
+exports.revealIfComplete = async (bookingId) => {
+  const [guestReview, hostReview] = await Promise.all([
+    Review.findOne({ booking: bookingId }),
+    GuestReview.findOne({ booking: bookingId }),
+  ]);
+  if (!guestReview || !hostReview) return false;
+
+  const claim = (Model, review) =>
+    Model.findOneAndUpdate(
+      { _id: review._id, isHidden: true },
+      { isHidden: false },
+      { new: true }
+    );
+
+  await reveal(
+    await claim(Review, guestReview),
+    await claim(GuestReview, hostReview)
+  );
+  return true;
+};
+
+// Blind state for a new review of the booking
+exports.getBlindFields = (booking) => {
+  const revealAt = exports.getRevealDate(booking);
+  return { revealAt, isHidden: revealAt > new Date() };
+};
+
+// Call after saving a guest's or host's review: publishes it straight away
+// if it was written after the blind window, otherwise once both are in
+exports.publishNewReview = async (review) => {
+  if (review.isHidden) return exports.revealIfComplete(review.booking);
+
+  await (review instanceof GuestReview
+    ? reveal(null, review)
+    : reveal(review, null));
+  return true;
+};
+
+// Reveal reviews whose blind window has closed. Run by the scheduler.
+exports.revealExpiredReviews = async () => {
+  const due = { isHidden: true, revealAt: { $lte: new Date() } };
+  let revealed = 0;
+
+  for (const Model of [Review, GuestReview]) {
+    const reviews = await Model.find(due).limit(100);
+
+    for (const review of reviews) {
+      const claimed = await Model.findOneAndUpdate(
+        { _id: review._id, isHidden: true },
+        { isHidden: false },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      await (Model === Review ? reveal(claimed, null) : reveal(null, claimed));
+      revealed += 1;
+    }
+  }
+
+  return revealed;
+};
+
+// What hosts see about guests: their visible host reviews and completed
+// stays. Returns a map of guest ID to summary.
+exports.getGuestSummaries = async (guestIds) => {
+  const ids = guestIds.map((id) => new mongoose.Types.ObjectId(id));
+
+  const [ratings, stays] = await Promise.all([
+    GuestReview.aggregate([
+      { $match: { guest: { $in: ids }, ...exports.VISIBLE } },
+      {
+        $group: {
+          _id: "$guest",
+          averageRating: { $avg: "$rating" },
+          reviewCount: { $sum: 1 },
+        },
+      },
+    ]),
+    Booking.aggregate([
+      { $match: { guest: { $in: ids }, status: "completed" } },
+      { $group: { _id: "$guest", completedStays: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const summaries = new Map(
+    ids.map((id) => [
+      id.toString(),
+      { averageRating: null, reviewCount: 0, completedStays: 0 },
+    ])
+  );
+  ratings.forEach((rating) => {
+    Object.assign(summaries.get(rating._id.toString()), {
+      averageRating: Math.round(rating.averageRating * 10) / 10,
+      reviewCount: rating.reviewCount,
+    });
+  });
+  stays.forEach((stay) => {
+    summaries.get(stay._id.toString()).completedStays = stay.completedStays;
+  });
+
+  return summaries;
+};
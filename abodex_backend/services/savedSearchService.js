@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const Property = require("../models/Property");
+const SavedSearch = require("../models/SavedSearch");
+const { notify } = require("./notificationService");
+const { buildSearch, matchingFilter } = require("./searchService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALERT_INTERVALS_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+// Properties listed in full in an alert; the rest are counted
+const ALERT_PROPERTY_LIMIT = 5;
+const BATCH_SIZE = 100;
+
+exports.ALERT_FREQUENCIES = Object.keys(ALERT_INTERVALS_MS);
+
+exports.generateUnsubscribeToken = () => crypto.randomBytes(24).toString("hex");
+
+// Schedule the next alert one interval after `from`
+exports.scheduleNextAlert = (savedSearch, from = new Date()) => {
+  savedSearch.nextAlertAt = new Date(
+    from.getTime() + ALERT_INTERVALS_MS[savedSearch.frequency]
+  );
+};
+
+// Build and send one search's alert. Returns whether anything was sent.
+const sendAlert = async (savedSearch, until) => {
+  const params = Object.fromEntries(savedSearch.params);
+
+  // Nothing can be booked for a trip that has already started
+  if (params.checkIn && new Date(params.checkIn) <= until) {
+    await SavedSearch.updateOne(
+      { _id: savedSearch._id },
+      { alertsEnabled: false }
+    );
+    return false;
+  }
+
+  const filter = matchingFilter(await buildSearch(params), [
+    { listedAt: { $gt: savedSearch.lastAlertAt, $lte: until } },
+  ]);
+  const [properties, total] = await Promise.all([
+    Property.find(filter)
+      .sort({ listedAt: -1 })
+      .limit(ALERT_PROPERTY_LIMIT)
+      .select("title address.city pricePerNight currency"),
+    Property.countDocuments(filter),
+  ]);
+
+  await SavedSearch.updateOne({ _id: savedSearch._id }, { lastAlertAt: until });
+  if (!total) return false;
+
+  await notify(
+    savedSearch.user,
+    "saved_search_alert",
+    {
+      savedSearchId: savedSearch._id,
+      searchName: savedSearch.name,
+      properties: properties.map((p) => ({
+        id: p._id,
+        title: p.title,
+        city: p.address.city,
+        pricePerNight: p.pricePerNight,
+        currency: p.currency,
+      })),
+      total,
+      unsubscribeToken: savedSearch.unsubscribeToken,
+    },
+    { channels: [savedSearch.channel] }
+  );
+  return true;
+};
+
+// Send alerts for saved searches that are due. Each search is claimed by
+// moving nextAlertAt on, so it is alerted once per interval even with
+// several workers. Returns how many alerts were sent.
+exports.sendSavedSearchAlerts = async () => {
+  const now = new Date();
+  const due = await SavedSearch.find({
+    alertsEnabled: true,
+    nextAlertAt: { $lte: now },
+  })
+    .select("+unsubscribeToken")
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const savedSearch of due) {
+    const previous = savedSearch.nextAlertAt;
+    exports.scheduleNextAlert(savedSearch, now);
+    const claimed = await SavedSearch.updateOne(
+      { _id: savedSearch._id, nextAlertAt: previous },
+      { nextAlertAt: savedSearch.nextAlertAt }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    try {
+      if (await sendAlert(savedSearch, now)) sent += 1;
+    } catch (error) {
+      // A search whose parameters no longer work shouldn't stop the others
+      console.error(`Saved search ${savedSearch._id} alert failed:`, error);
+    }
+  }
+  return sent;
+};
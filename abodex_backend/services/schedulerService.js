@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const os = require("os");
+const ScheduledJob = require("../models/ScheduledJob");
+const JobRun = require("../models/JobRun");
+
+const TICK_MS = parseInt(process.env.SCHEDULER_TICK_MS) || 30 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+// name -> { name, description, intervalMs, timeoutMs, handler }
+const jobs = new Map();
+let timer = null;
+
+// Register a job. The handler returns how many items it processed. A run
+// that outlives `timeoutMs` is assumed dead and the job can be claimed again.
+exports.defineJob = (
+  name,
+  { description, intervalMs, timeoutMs = 10 * 60 * 1000, handler }
+) => {
+  jobs.set(name, { name, description, intervalMs, timeoutMs, handler });
+};
+
+exports.getJobs = () => [...jobs.values()];
+
+// Take the job's lease if it is due (or `force`d) and nobody holds it
+const claimJob = async (job, force) => {
+  const now = new Date();
+  const filter = {
+    name: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+  if (!force) filter.nextRunAt = { $lte: now };
+
+  return ScheduledJob.findOneAndUpdate(
+    filter,
+    {
+      lockedUntil: new Date(now.getTime() + job.timeoutMs),
+      lockedBy: INSTANCE_ID,
+    },
+    { new: true }
+  );
+};
+
+const runClaimedJob = async (job, trigger) => {
+  const run = await JobRun.create({
+    job: job.name,
+    trigger,
+    instance: INSTANCE_ID,
+  });
+
+  try {
+    run.processed = await job.handler();
+    run.status = "succeeded";
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    run.status = "failed";
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  await ScheduledJob.updateOne(
+    { name: job.name, lockedBy: INSTANCE_ID },
+    {
+      lastRunAt: run.startedAt,
+      nextRunAt: new Date(run.startedAt.getTime() + job.intervalMs),
+      $unset: { lockedUntil: 1, lockedBy: 1 },
+    }
+  );
+
+  return run;
+};
+
+// Run a job now, outside its schedule. Returns null if another instance is
+// running it.
+exports.runJobNow = async (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  const claimed = await claimJob(job, true);
+  if (!claimed) return null;
+  return runClaimedJob(job, "manual");
+};
+
+const tick = async () => {
+  for (const job of jobs.values()) {
+    try {
+      if (await claimJob(job, false)) await runClaimedJob(job, "schedule");
+    } catch (error) {
+      console.error(`Scheduling job ${job.name} failed:`, error);
+    }
+  }
+};
+
+// Create the shared schedule entries and start checking for due jobs
+exports.startScheduler = async () => {
+  await Promise.all(
+    [...jobs.keys()].map((name) =>
+      ScheduledJob.updateOne(
+        { name },
+        { $setOnInsert: { name, nextRunAt: new Date() } },
+        { upsert: true }
+      ).catch((error) => {
+        // Another instance created it first
+        if (error.code !== 11000) throw error;
+      })
+    )
+  );
+
+  let running = false;
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    await tick();
+    running = false;
+  }, TICK_MS);
+};
+
+exports.stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,424 @@
+const Property = require("../models/Property");
+const { availabilityFilter } = require("./availabilityService");
+const { averageNightlyRateExpression } = require("./pricingService");
+const { getExchangeRates, getExchangeRate } = require("./currencyService");
+const { BASE_CURRENCY } = require("../config/currencies");
+
+// Query parameters that describe what a property search matches, as opposed
+// to how the results are ordered and paged. Saved searches keep these.
+const SEARCH_FILTER_PARAMS = [
+  "q",
+  "location",
+  "lat",
+  "lng",
+  "radius",
+  "swLat",
+  "swLng",
+  "neLat",
+  "neLng",
+  "checkIn",
+  "checkOut",
+  "guests",
+  "minPrice",
+  "maxPrice",
+  "amenities",
+  "propertyType",
+  "bedrooms",
+  "currency",
+];
+
+// Default and largest radius, in kilometres, for searches around a point
+const DEFAULT_SEARCH_RADIUS_KM = 10;
+const MAX_SEARCH_RADIUS_KM = 100;
+const BOUNDS_FIELDS = ["swLat", "swLng", "neLat", "neLng"];
+
+// Longest stay a search prices. The dated price filter works out each
+// night's rate in the query, so its size grows with the stay.
+const MAX_SEARCH_NIGHTS = 90;
+const EARTH_RADIUS_METERS = 6378100;
+
+// Width of the price histogram buckets returned with search facets, in the
+// search currency. The histogram is over base nightly prices, also for
+// searches with dates.
+const PRICE_HISTOGRAM_STEP = 50;
+
+// Fields matched by the `q` keyword search, and how much a match in each
+// adds to a property's relevance
+const KEYWORD_FIELDS = {
+  title: 10,
+  "address.city": 5,
+  "address.state": 3,
+  "address.country": 3,
+  description: 1,
+};
+const MAX_KEYWORD_TERMS = 10;
+
+// AND an extra condition into a property query
+const addCondition = (filter, condition) => {
+  filter.$and = [...(filter.$and || []), condition];
+};
+
+// Copy of a property query with the given conditions ANDed in
+const withConditions = (filter, conditions) => {
+  const combined = { ...filter };
+  conditions.forEach((condition) => addCondition(combined, condition));
+  return combined;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getKeywordTerms = (q) =>
+  String(q || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_KEYWORD_TERMS)
+    .map(escapeRegex);
+
+// Every term must appear in at least one searched field
+const keywordFilter = (terms) => ({
+  $and: terms.map((term) => ({
+    $or: Object.keys(KEYWORD_FIELDS).map((field) => ({
+      [field]: { $regex: term, $options: "i" },
+    })),
+  })),
+});
+
+// Sum of the field weights each term matches, plus a bonus when the whole
+// query appears in the title
+const relevanceScore = (terms) => {
+  const matches = (field, regex, weight) => ({
+    $cond: [
+      {
+        $regexMatch: {
+          input: { $ifNull: [`$${field}`, ""] },
+          regex,
+          options: "i",
+        },
+      },
+      weight,
+      0,
+    ],
+  });
+
+  return {
+    $add: [
+      ...terms.flatMap((term) =>
+        Object.entries(KEYWORD_FIELDS).map(([field, weight]) =>
+          matches(field, term, weight)
+        )
+      ),
+      ...(terms.length > 1 ? [matches("title", terms.join("\\s+"), 10)] : []),
+    ],
+  };
+};
+
+const parseBounds = ({ swLat, swLng, neLat, neLng }) => {
+  const [south, west, north, east] = [swLat, swLng, neLat, neLng].map(
+    parseFloat
+  );
+  return { south, west, north, east };
+};
+
+const boxRing = (south, west, north, east) => [
+  [
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south],
+  ],
+];
+
+// GeoJSON geometry for a map viewport given its south-west and north-east
+// corners. A viewport across the antimeridian (west of it further east than
+// its east edge) is split into a box on each side.
+const boundsGeometry = (params) => {
+  const { south, west, north, east } = parseBounds(params);
+  if (west <= east) {
+    return { type: "Polygon", coordinates: boxRing(south, west, north, east) };
+  }
+  return {
+    type: "MultiPolygon",
+    coordinates: [
+      boxRing(south, west, north, 180),
+      boxRing(south, -180, north, east),
+    ],
+  };
+};
+
+// Middle of a map viewport, also for one across the antimeridian
+const boundsCenter = (params) => {
+  const { south, west, north, east } = parseBounds(params);
+  let longitude = (west + east) / 2;
+  if (west > east) {
+    longitude += longitude > 0 ? -180 : 180;
+  }
+  return { type: "Point", coordinates: [longitude, (south + north) / 2] };
+};
+
+// Aggregation expression for a property's nightly price (by default its
+// base price) in `currency`. Properties in a currency without a rate have no
+// price (null).
+const priceExpression = (rates, currency, amount = "$pricePerNight") => ({
+  $multiply: [
+    amount,
+    {
+      $switch: {
+        branches: Object.keys(rates).map((from) => ({
+          case: { $eq: [{ $ifNull: ["$currency", BASE_CURRENCY] }, from] },
+          then: getExchangeRate(rates, from, currency),
+        })),
+        default: null,
+      },
+    },
+  ],
+});
+
+// Turn search parameters (see SEARCH_FILTER_PARAMS) into:
+// - currency / rates: the currency prices are given and shown in, and the
+//   rate table to convert listing prices with
+// - price: expression for the nightly price in that currency
+// - filter: the query every result matches
+// - facetConditions: the type, amenity, bedroom and price conditions, kept
+//   apart so facets can be counted without their own selection
+// - near / maxDistance: the point distances are measured from and, for
+//   point searches, the radius in metres, both for a $geoNear stage
+// - terms: the keywords, for relevance scoring
+exports.buildSearch = async (params) => {
+  const {
+    q,
+    location,
+    lat,
+    lng,
+    radius,
+    checkIn,
+    checkOut,
+    guests,
+    minPrice,
+    maxPrice,
+    amenities,
+    propertyType,
+    bedrooms,
+  } = params;
+
+  const currency = String(params.currency || BASE_CURRENCY).toUpperCase();
+  const rates = await getExchangeRates();
+  const price = priceExpression(rates, currency);
+
+  const filter = {
+    isActive: true,
+    hostVerified: true,
+  };
+
+  // City filter
+  if (location) {
+    filter["address.city"] = {
+      $regex: escapeRegex(String(location)),
+      $options: "i",
+    };
+  }
+
+  // Map filters. lat/lng search within `radius` km of a point; bounds
+  // search a viewport. Distances are measured from the point, or from
+  // the middle of the viewport.
+  const hasBounds = params.swLat !== undefined;
+  let near = null;
+  let maxDistance;
+
+  if (hasBounds) {
+    filter["address.coordinates"] = {
+      $geoWithin: { $geometry: boundsGeometry(params) },
+    };
+  }
+
+  if (lat !== undefined) {
+    near = {
+      type: "Point",
+      coordinates: [parseFloat(lng), parseFloat(lat)],
+    };
+    if (radius || !hasBounds) {
+      maxDistance =
+        (radius ? parseFloat(radius) : DEFAULT_SEARCH_RADIUS_KM) * 1000;
+    }
+  } else if (hasBounds) {
+    near = boundsCenter(params);
+  }
+
+  // Keyword filter
+  const terms = getKeywordTerms(q);
+  if (terms.length) {
+    addCondition(filter, keywordFilter(terms));
+  }
+
+  const facetConditions = {};
+
+  // Property type filter
+  if (propertyType) {
+    facetConditions.type = { type: propertyType };
+  }
+
+  // Amenities filter
+  if (amenities) {
+    const amenityList = amenities.split(",");
+    facetConditions.amenities = { amenities: { $all: amenityList } };
+  }
+
+  // Bedrooms filter
+  if (bedrooms) {
+    facetConditions.bedrooms = { bedrooms: { $gte: parseInt(bedrooms) } };
+  }
+
+  // Availability filter
+  if (checkIn && checkOut) {
+    addCondition(filter, await availabilityFilter(checkIn, checkOut));
+  }
+
+  // Guests filter
+  if (guests) {
+    filter.maxGuests = { $gte: parseInt(guests) };
+  }
+
+  // Price filter, in the search currency. With dates, the stay's average
+  // nightly rate is compared so weekend, seasonal and per-date prices are
+  // taken into account.
+  if (minPrice || maxPrice) {
+    const amount =
+      checkIn && checkOut
+        ? priceExpression(
+            rates,
+            currency,
+            averageNightlyRateExpression(checkIn, checkOut)
+          )
+        : price;
+    const bounds = [{ $ne: [amount, null] }];
+    if (minPrice) bounds.push({ $gte: [amount, parseFloat(minPrice)] });
+    if (maxPrice) bounds.push({ $lte: [amount, parseFloat(maxPrice)] });
+    facetConditions.price = { $expr: { $and: bounds } };
+  }
+
+  return {
+    currency,
+    rates,
+    price,
+    filter,
+    facetConditions,
+    near,
+    maxDistance,
+    terms,
+  };
+};
+
+// The search's filter with its radius as a condition, for queries that
+// cannot start with $geoNear
+const areaFilter = ({ filter, near, maxDistance }) =>
+  maxDistance
+    ? withConditions(filter, [
+        {
+          "address.coordinates": {
+            $geoWithin: {
+              $centerSphere: [
+                near.coordinates,
+                maxDistance / EARTH_RADIUS_METERS,
+              ],
+            },
+          },
+        },
+      ])
+    : filter;
+
+// Every condition of a search as one plain query, optionally with extra
+// conditions
+exports.matchingFilter = (search, extra = []) =>
+  withConditions(areaFilter(search), [
+    ...Object.values(search.facetConditions),
+    ...extra,
+  ]);
+
+// Counts for the search filters a guest can toggle. Each facet is counted
+// against the search plus every other facet's condition, so a selected
+// value doesn't hide its alternatives. The shared filter runs once (and can
+// use indexes) before the facets split.
+exports.searchFacets = async (search) => {
+  const { facetConditions } = search;
+  const others = (name) => ({
+    $match: withConditions(
+      {},
+      Object.entries(facetConditions)
+        .filter(([other]) => other !== name)
+        .map(([, condition]) => condition)
+    ),
+  });
+
+  const [result] = await Property.aggregate([
+    { $match: areaFilter(search) },
+    {
+      $project: {
+        type: 1,
+        amenities: 1,
+        bedrooms: 1,
+        pricePerNight: 1,
+        currency: 1,
+        // Read by the price condition of searches with dates
+        rateRules: 1,
+      },
+    },
+    {
+      $facet: {
+        type: [
+          others("type"),
+          { $group: { _id: "$type", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        amenities: [
+          others("amenities"),
+          { $unwind: "$amenities" },
+          { $group: { _id: "$amenities", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        bedrooms: [
+          others("bedrooms"),
+          { $group: { _id: "$bedrooms", count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ],
+        price: [
+          others("price"),
+          { $addFields: { price: search.price } },
+          { $match: { price: { $ne: null } } },
+          {
+            $group: {
+              _id: {
+                $multiply: [
+                  { $floor: { $divide: ["$price", PRICE_HISTOGRAM_STEP] } },
+                  PRICE_HISTOGRAM_STEP,
+                ],
+              },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const counts = (buckets) =>
+    buckets.map(({ _id, count }) => ({ value: _id, count }));
+  return {
+    type: counts(result.type),
+    amenities: counts(result.amenities),
+    bedrooms: counts(result.bedrooms),
+    price: result.price.map(({ _id, count }) => ({
+      min: _id,
+      max: _id + PRICE_HISTOGRAM_STEP,
+      count,
+    })),
+  };
+};
+
+exports.SEARCH_FILTER_PARAMS = SEARCH_FILTER_PARAMS;
+exports.MAX_SEARCH_RADIUS_KM = MAX_SEARCH_RADIUS_KM;
+exports.MAX_SEARCH_NIGHTS = MAX_SEARCH_NIGHTS;
+exports.BOUNDS_FIELDS = BOUNDS_FIELDS;
+exports.withConditions = withConditions;
+exports.relevanceScore = relevanceScore;
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const generateAccessToken = (userId, sessionId, isAdmin) =>
+  jwt.sign(
+    { id: userId, sid: sessionId },
+    isAdmin ? process.env.JWT_ADMIN_SECRET : process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+const generateSecret = () => crypto.randomBytes(40).toString("hex");
+
+// Refresh tokens are "<session id>.<secret>"; only the secret's hash is stored
+const tokensFor = (session, secret) => ({
+  token: generateAccessToken(session.user, session._id, session.isAdmin),
+  refreshToken: `${session._id}.${secret}`,
+});
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const isActive = (session) =>
+  session && !session.revokedAt && session.expiresAt > new Date();
+
+exports.createSession = async (user, req) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    isAdmin: user.role === "admin",
+    userAgent: req.header("User-Agent"),
+    ip: req.ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return tokensFor(session, secret);
+};
+
+// Exchange a refresh token for a new access/refresh pair. Presenting an
+// already-rotated token means it leaked, so the whole session is revoked.
+exports.rotateRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const secret = generateSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashSecret(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { refreshTokenHash: hashSecret(secret), lastUsedAt: new Date() },
+    { new: true }
+  );
+
+  if (!session) {
+    await exports.revokeSession(parsed.sessionId);
+    return null;
+  }
+
+  return tokensFor(session, secret);
+};
+
+// Look up the active session a refresh token belongs to
+exports.findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!isActive(session)) return null;
+  if (session.refreshTokenHash !== hashSecret(parsed.secret)) return null;
+
+  return session;
+};
+
+// Check the session an access token was issued for is still valid
+exports.isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId);
+  return isActive(session) && session.user.equals(userId);
+};
+
+exports.revokeSession = async (sessionId) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+exports.revokeAllSessions = async (userId) => {
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
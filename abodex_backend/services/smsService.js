@@ -19,12 +19,8 @@ exports.sendSMS = async (to, message) => {
   }
 };
 
-exports.sendBookingConfirmation = async (phone, bookingDetails) => {
-  const message = `Your booking at ${bookingDetails.propertyTitle} is confirmed. Check-in: ${bookingDetails.checkIn}, Check-out: ${bookingDetails.checkOut}. Total: $${bookingDetails.totalAmount}.`;
-  return await this.sendSMS(phone, message);
-};
-
-exports.sendBookingReminder = async (phone, bookingDetails) => {
-  const message = `Reminder: Your stay at ${bookingDetails.propertyTitle} starts tomorrow. Check-in time is after 3 PM.`;
-  return await this.sendSMS(phone, message);
+// SMS channel provider for the notification service. Message content comes
+// from config/notificationTemplates.js.
+exports.send = async ({ to, text }) => {
+  await exports.sendSMS(to, text);
 };
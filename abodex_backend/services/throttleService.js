@@ -0,0 +1,207 @@
+const ThrottleRecord = require("../models/ThrottleRecord");
+const { notify } = require("./notificationService");
+
+const MINUTE_MS = 60 * 1000;
+const RECORD_TTL_MS = 24 * 60 * MINUTE_MS;
+const MAX_LOGIN_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_FAILURE_WINDOW_MS = 15 * MINUTE_MS;
+const BASE_LOCKOUT_MS =
+  (parseInt(process.env.LOCKOUT_MINUTES) || 15) * MINUTE_MS;
+const MAX_LOCKOUT_MS = 24 * 60 * MINUTE_MS;
+
+// Stores keep { key, count, windowExpiresAt, lockedUntil, lockCount } records
+// and must implement increment, get, update, remove and findLocked. Records
+// are forgotten a day after their last write.
+
+// In-process store, for tests and single-instance development
+exports.createMemoryStore = () => {
+  const records = new Map();
+
+  const get = async (key) => {
+    const record = records.get(key);
+    if (!record) return null;
+    if (record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return { ...record };
+  };
+
+  return {
+    get,
+
+    async increment(key, windowMs) {
+      const now = new Date();
+      const record = (await get(key)) || { key, count: 0, lockCount: 0 };
+      if (!record.windowExpiresAt || record.windowExpiresAt <= now) {
+        record.count = 0;
+        record.windowExpiresAt = new Date(now.getTime() + windowMs);
+      }
+      record.count += 1;
+      record.expiresAt = new Date(now.getTime() + RECORD_TTL_MS);
+      records.set(key, record);
+      return { ...record };
+    },
+
+    async update(key, fields) {
+      const record = (await get(key)) || { key, count: 0, lockCount: 0 };
+      Object.assign(record, fields, {
+        expiresAt: new Date(Date.now() + RECORD_TTL_MS),
+      });
+      records.set(key, record);
+      return { ...record };
+    },
+
+    async remove(key) {
+      records.delete(key);
+    },
+
+    async findLocked(prefix) {
+      const now = new Date();
+      return [...records.values()]
+        .filter(
+          (r) =>
+            r.key.startsWith(prefix) && r.lockedUntil && r.lockedUntil > now
+        )
+        .map((r) => ({ ...r }));
+    },
+  };
+};
+
+// MongoDB-backed store, shared across server instances
+exports.createMongoStore = () => ({
+  async get(key) {
+    return ThrottleRecord.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+  },
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const windowExpiresAt = new Date(now.getTime() + windowMs);
+
+    // Start a fresh window if the previous one is over
+    await ThrottleRecord.updateOne(
+      { key, windowExpiresAt: { $lte: now } },
+      { count: 0, windowExpiresAt }
+    );
+
+    const hit = () =>
+      ThrottleRecord.findOneAndUpdate(
+        { key },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { windowExpiresAt },
+          $set: { expiresAt: new Date(now.getTime() + RECORD_TTL_MS) },
+        },
+        { upsert: true, new: true }
+      ).lean();
+
+    try {
+      return await hit();
+    } catch (error) {
+      // Two first hits raced to insert the record; the retry updates it
+      if (error.code !== 11000) throw error;
+      return hit();
+    }
+  },
+
+  async update(key, fields) {
+    return ThrottleRecord.findOneAndUpdate(
+      { key },
+      { ...fields, expiresAt: new Date(Date.now() + RECORD_TTL_MS) },
+      { upsert: true, new: true }
+    ).lean();
+  },
+
+  async remove(key) {
+    await ThrottleRecord.deleteOne({ key });
+  },
+
+  async findLocked(prefix) {
+    return ThrottleRecord.find({
+      key: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` },
+      lockedUntil: { $gt: new Date() },
+    }).lean();
+  },
+});
+
+let store =
+  process.env.THROTTLE_STORE === "memory"
+    ? exports.createMemoryStore()
+    : exports.createMongoStore();
+
+exports.getStore = () => store;
+
+exports.setStore = (newStore) => {
+  store = newStore;
+};
+
+// Login failures are tracked per email address rather than per user, so
+// unknown emails lock out exactly like real ones and reveal nothing.
+const LOGIN_PREFIX = "login:";
+const loginKey = (email) => `${LOGIN_PREFIX}${String(email).toLowerCase()}`;
+
+exports.getLoginLock = async (email) => {
+  const record = await store.get(loginKey(email));
+  if (!record || !record.lockedUntil || record.lockedUntil <= new Date()) {
+    return null;
+  }
+  return record.lockedUntil;
+};
+
+// Count a failed password or 2FA attempt. Each lockout lasts twice as long
+// as the previous one. `user` is passed when the email belongs to an account
+// so its owner can be told about the lock.
+exports.recordLoginFailure = async (email, user) => {
+  const key = loginKey(email);
+  const record = await store.increment(key, LOGIN_FAILURE_WINDOW_MS);
+  if (record.count < MAX_LOGIN_FAILURES) return null;
+
+  const lockMs = Math.min(
+    BASE_LOCKOUT_MS * 2 ** (record.lockCount || 0),
+    MAX_LOCKOUT_MS
+  );
+  const lockedUntil = new Date(Date.now() + lockMs);
+
+  await store.update(key, {
+    count: 0,
+    lockedUntil,
+    lockCount: (record.lockCount || 0) + 1,
+  });
+
+  if (user) await notify(user, "account_locked", { lockedUntil });
+
+  return lockedUntil;
+};
+
+exports.clearLoginFailures = async (email) => {
+  await store.remove(loginKey(email));
+};
+
+exports.getLoginThrottleState = async (email) => {
+  const record = await store.get(loginKey(email));
+  return {
+    failedAttempts: record ? record.count : 0,
+    lockedUntil:
+      record && record.lockedUntil > new Date() ? record.lockedUntil : null,
+    lockCount: record ? record.lockCount : 0,
+  };
+};
+
+exports.listLockedLogins = async () => {
+  const records = await store.findLocked(LOGIN_PREFIX);
+  return records.map((record) => ({
+    email: record.key.slice(LOGIN_PREFIX.length),
+    lockedUntil: record.lockedUntil,
+    lockCount: record.lockCount,
+  }));
+};
+
+// Count a hit against an arbitrary key; true once it goes over `max` within
+// the window
+exports.isOverLimit = async (key, max, windowMs) => {
+  const record = await store.increment(key, windowMs);
+  return record.count > max;
+};
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ISSUER = "AbodeX";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = "5m";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+// HOTP value for a counter (RFC 4226)
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(value).padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.getOtpauthUrl = (email, secret) =>
+  `otpauth://totp/${encodeURIComponent(
+    `${ISSUER}:${email}`
+  )}?secret=${secret}` +
+  `&issuer=${ISSUER}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// Time step the code matches (allowing one step of clock drift either way),
+// or null. Steps at or before lastUsedStep are rejected to stop replays.
+exports.verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (step <= lastUsedStep) continue;
+    if (generateCode(secret, step) === normalized) return step;
+  }
+  return null;
+};
+
+// Plain codes are shown to the user once; only their hashes are stored
+exports.generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+// Check a TOTP or backup code against a user loaded with the 2FA secrets.
+// Updates the user (last used step, consumed backup code); caller saves.
+exports.verifyTwoFactorCode = (user, code) => {
+  const { twoFactor } = user;
+  if (!twoFactor || !twoFactor.secret) return false;
+
+  const step = exports.verifyTotp(
+    twoFactor.secret,
+    code,
+    twoFactor.lastUsedStep
+  );
+  if (step !== null) {
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const hash = hashCode(String(code).trim().toLowerCase());
+  const index = (twoFactor.backupCodes || []).indexOf(hash);
+  if (index !== -1) {
+    twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Short-lived token proving the password step of login succeeded
+exports.createChallengeToken = (userId) =>
+  jwt.sign({ id: userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+
+exports.verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,121 @@
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ReservedNight = require("../models/ReservedNight");
+const {
+  confirmDates,
+  holdDates,
+  isAvailable,
+} = require("../services/availabilityService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+const property = { _id: new mongoose.Types.ObjectId(), availability: [] };
+const newBookingId = () => new mongoose.Types.ObjectId();
+
+describe("availability holds", () => {
+  let nights;
+
+  beforeEach(() => {
+    nights = memoryModel(ReservedNight, { unique: [["property", "night"]] });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("lets only one of several concurrent bookings hold the same dates", async () => {
+    const bookingIds = [1, 2, 3, 4, 5].map(newBookingId);
+
+    const results = await Promise.all(
+      bookingIds.map((bookingId) =>
+        holdDates(property, bookingId, "2030-06-01", "2030-06-04")
+      )
+    );
+
+    const winners = bookingIds.filter((bookingId, i) => results[i] !== null);
+    assert.equal(winners.length, 1);
+    assert.equal(nights.length, 3);
+    assert.ok(nights.every((night) => night.booking.equals(winners[0])));
+  });
+
+  it("never holds a night twice for overlapping stays", async () => {
+    const stays = [
+      ["2030-06-01", "2030-06-05"],
+      ["2030-06-03", "2030-06-07"],
+      ["2030-06-04", "2030-06-06"],
+      ["2030-06-06", "2030-06-09"],
+    ];
+    const bookingIds = stays.map(newBookingId);
+
+    const results = await Promise.all(
+      stays.map(([checkIn, checkOut], i) =>
+        holdDates(property, bookingIds[i], checkIn, checkOut)
+      )
+    );
+
+    const times = nights.map((night) => night.night.getTime());
+    assert.equal(new Set(times).size, times.length);
+
+    // Losers keep nothing, winners keep their whole stay
+    stays.forEach(([checkIn, checkOut], i) => {
+      const held = nights.filter((night) =>
+        night.booking.equals(bookingIds[i])
+      );
+      const length = (new Date(checkOut) - new Date(checkIn)) / 86400000;
+      assert.equal(held.length, results[i] === null ? 0 : length);
+    });
+  });
+
+  it("takes over dates whose hold has expired", async () => {
+    const stale = newBookingId();
+    nights.push({
+      _id: new mongoose.Types.ObjectId(),
+      property: property._id,
+      booking: stale,
+      night: new Date("2030-06-01"),
+      status: "held",
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const bookingId = newBookingId();
+    assert.ok(await holdDates(property, bookingId, "2030-06-01", "2030-06-03"));
+    assert.equal(nights.length, 2);
+    assert.ok(nights.every((night) => night.booking.equals(bookingId)));
+  });
+
+  it("does not hold dates that are already confirmed", async () => {
+    const first = newBookingId();
+    await holdDates(property, first, "2030-06-01", "2030-06-03");
+    assert.equal(
+      await confirmDates(property, first, "2030-06-01", "2030-06-03"),
+      true
+    );
+
+    assert.equal(
+      await holdDates(property, newBookingId(), "2030-06-02", "2030-06-04"),
+      null
+    );
+    assert.equal(
+      await isAvailable(property, "2030-06-02", "2030-06-04"),
+      false
+    );
+    assert.equal(nights.length, 2);
+  });
+
+  it("releases a booking whose lapsed hold was taken before confirming", async () => {
+    const slow = newBookingId();
+    await holdDates(property, slow, "2030-06-01", "2030-06-03");
+    nights.forEach((night) => {
+      night.expiresAt = new Date(Date.now() - 1000);
+    });
+
+    const fast = newBookingId();
+    assert.ok(await holdDates(property, fast, "2030-06-02", "2030-06-04"));
+
+    assert.equal(
+      await confirmDates(property, slow, "2030-06-01", "2030-06-03"),
+      false
+    );
+    assert.ok(nights.every((night) => night.booking.equals(fast)));
+  });
+});
@@ -0,0 +1,129 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_jobs";
+
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const bookingService = require("../services/bookingService");
+const paymentService = require("../services/paymentService");
+const { getJobs } = require("../services/schedulerService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+// The jobs pick these up when they are required, so they are mocked first
+const completeBooking = mock.method(
+  bookingService,
+  "completeBooking",
+  async (booking) => booking
+);
+const closeBookingRequest = mock.method(
+  bookingService,
+  "closeBookingRequest",
+  async (booking) => booking
+);
+const cancelBooking = mock.method(
+  bookingService,
+  "cancelBooking",
+  async (booking) => booking
+);
+const confirmPaymentIntent = mock.method(
+  paymentService,
+  "confirmPaymentIntent",
+  async (id) => ({ id, status: "requires_payment_method" })
+);
+require("../services/backgroundJobs");
+
+const runJob = (name) =>
+  getJobs()
+    .find((job) => job.name === name)
+    .handler();
+
+const past = new Date(Date.now() - 60 * 60 * 1000);
+
+describe("booking jobs", () => {
+  let bookings;
+
+  const addBookings = (count, fields) =>
+    Promise.all(
+      Array.from({ length: count }, (_, i) =>
+        Booking.create({
+          guest: new mongoose.Types.ObjectId(),
+          property: new mongoose.Types.ObjectId(),
+          checkIn: new Date("2030-06-01"),
+          checkOut: new Date("2030-06-04"),
+          guestsCount: 2,
+          totalAmount: 300,
+          paymentIntentId: `pi_test_${i}`,
+          ...fields,
+        })
+      )
+    );
+
+  // Make `fn` throw for the first booking it is called with
+  const failFirstCall = (fn) => {
+    fn.mock.mockImplementationOnce(async () => {
+      throw new Error("Stripe unavailable");
+    });
+  };
+
+  beforeEach((t) => {
+    bookings = memoryModel(Booking);
+    t.mock.method(console, "error", () => {});
+    for (const fn of [
+      completeBooking,
+      closeBookingRequest,
+      cancelBooking,
+      confirmPaymentIntent,
+    ]) {
+      fn.mock.resetCalls();
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("keeps completing stays when one booking fails", async () => {
+    await addBookings(3, {
+      status: "confirmed",
+      paymentStatus: "paid",
+      checkOut: past,
+    });
+    failFirstCall(completeBooking);
+
+    assert.equal(await runJob("complete_bookings"), 2);
+    assert.equal(completeBooking.mock.callCount(), 3);
+  });
+
+  it("keeps expiring booking requests when one fails", async () => {
+    await addBookings(3, { status: "requested", requestExpiresAt: past });
+    failFirstCall(closeBookingRequest);
+
+    assert.equal(await runJob("expire_booking_requests"), 2);
+    assert.equal(closeBookingRequest.mock.callCount(), 3);
+  });
+
+  it("keeps expiring unpaid bookings when Stripe fails for one", async () => {
+    await addBookings(3, { status: "pending", holdExpiresAt: past });
+    failFirstCall(confirmPaymentIntent);
+
+    assert.equal(await runJob("expire_pending_bookings"), 2);
+    assert.equal(cancelBooking.mock.callCount(), 2);
+  });
+
+  it("only completes stays that are over and paid for", async () => {
+    await addBookings(1, {
+      status: "confirmed",
+      paymentStatus: "paid",
+      checkOut: past,
+    });
+    await addBookings(1, { status: "confirmed", paymentStatus: "paid" });
+    await addBookings(1, {
+      status: "confirmed",
+      paymentStatus: "pending",
+      checkOut: past,
+    });
+
+    assert.equal(await runJob("complete_bookings"), 1);
+    assert.equal(bookings.length, 3);
+  });
+});
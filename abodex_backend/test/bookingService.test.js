@@ -0,0 +1,160 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_bookings";
+
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const ReservedNight = require("../models/ReservedNight");
+const ledgerService = require("../services/ledgerService");
+const paymentService = require("../services/paymentService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+// bookingService picks these up when it is required, so they are mocked
+// first
+const recordBookingEarnings = mock.method(
+  ledgerService,
+  "recordBookingEarnings",
+  async () => true
+);
+const refundPayment = mock.method(
+  paymentService,
+  "refundPayment",
+  async () => ({ id: "re_test" })
+);
+const {
+  completeBooking,
+  confirmBookingPayment,
+} = require("../services/bookingService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addBooking = (fields) =>
+  Booking.create({
+    guest: new mongoose.Types.ObjectId(),
+    property: new mongoose.Types.ObjectId(),
+    checkIn: new Date(Date.now() - 3 * DAY_MS),
+    checkOut: new Date(Date.now() - DAY_MS),
+    guestsCount: 2,
+    totalAmount: 300,
+    status: "confirmed",
+    paymentStatus: "paid",
+    paymentIntentId: "pi_test",
+    ...fields,
+  });
+
+describe("completeBooking", () => {
+  let bookings;
+
+  beforeEach(() => {
+    bookings = memoryModel(Booking);
+    recordBookingEarnings.mock.resetCalls();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("completes a paid stay after check-out and credits the host", async () => {
+    const booking = await addBooking();
+
+    const completed = await completeBooking(booking);
+
+    assert.equal(completed.status, "completed");
+    assert.equal(bookings[0].status, "completed");
+    assert.equal(recordBookingEarnings.mock.callCount(), 1);
+  });
+
+  it("does not complete a stay before check-out", async () => {
+    const booking = await addBooking({
+      checkIn: new Date(Date.now() + DAY_MS),
+      checkOut: new Date(Date.now() + 3 * DAY_MS),
+    });
+
+    assert.equal(await completeBooking(booking), null);
+    assert.equal(bookings[0].status, "confirmed");
+    assert.equal(recordBookingEarnings.mock.callCount(), 0);
+  });
+
+  it("does not complete a stay that was not paid for", async () => {
+    const booking = await addBooking({ paymentStatus: "failed" });
+
+    assert.equal(await completeBooking(booking), null);
+    assert.equal(recordBookingEarnings.mock.callCount(), 0);
+  });
+
+  it("completes a stay only once", async () => {
+    const booking = await addBooking();
+
+    await Promise.all([completeBooking(booking), completeBooking(booking)]);
+
+    assert.equal(recordBookingEarnings.mock.callCount(), 1);
+  });
+});
+
+describe("confirmBookingPayment", () => {
+  let bookings;
+  let nights;
+
+  // A pending booking whose hold lapsed and whose dates another booking
+  // has since confirmed
+  const addLostBooking = async () => {
+    const booking = await addBooking({
+      status: "pending",
+      paymentStatus: "pending",
+      checkIn: new Date("2030-06-01"),
+      checkOut: new Date("2030-06-03"),
+      holdExpiresAt: new Date(Date.now() - 1000),
+    });
+    await ReservedNight.create({
+      property: booking.property,
+      booking: new mongoose.Types.ObjectId(),
+      night: new Date("2030-06-02"),
+      status: "confirmed",
+    });
+    return { ...booking, property: { _id: booking.property } };
+  };
+
+  beforeEach(() => {
+    bookings = memoryModel(Booking);
+    nights = memoryModel(ReservedNight, { unique: [["property", "night"]] });
+    refundPayment.mock.resetCalls();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("cancels and refunds a booking whose dates were taken", async () => {
+    const booking = await addLostBooking();
+
+    const result = await confirmBookingPayment(booking, { id: "pi_test" });
+
+    assert.equal(result.reserved, false);
+    assert.equal(bookings[0].status, "cancelled");
+    assert.equal(bookings[0].paymentStatus, "refunded");
+    assert.equal(refundPayment.mock.calls[0].arguments[1], 300);
+    assert.equal(nights.length, 1);
+  });
+
+  it("puts the booking back when the refund fails, so a retry refunds it", async () => {
+    const booking = await addLostBooking();
+    refundPayment.mock.mockImplementationOnce(async () => {
+      throw new Error("Refund processing failed");
+    });
+
+    await assert.rejects(
+      confirmBookingPayment(booking, { id: "pi_test" }),
+      /Refund processing failed/
+    );
+    assert.equal(bookings[0].status, "pending");
+    assert.equal(bookings[0].paymentStatus, "pending");
+    assert.equal(bookings[0].refundedAmount, 0);
+    assert.equal(bookings[0].cancellationReason, undefined);
+
+    // The webhook is redelivered
+    const result = await confirmBookingPayment(booking, { id: "pi_test" });
+    assert.equal(result.booking.status, "cancelled");
+    assert.equal(bookings[0].paymentStatus, "refunded");
+    assert.equal(refundPayment.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  calculateGuestRefund,
+  getRefundableBalance,
+} = require("../services/cancellationService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const checkIn = new Date("2030-06-15T15:00:00Z");
+
+// The time `hours` before check-in
+const before = (hours) => new Date(checkIn.getTime() - hours * HOUR_MS);
+
+const paidBooking = (fields = {}) => ({
+  checkIn,
+  totalAmount: 500,
+  paymentStatus: "paid",
+  ...fields,
+});
+
+describe("calculateGuestRefund", () => {
+  const cases = {
+    flexible: [
+      [48, 500],
+      [24, 500],
+      [23.9, 0],
+    ],
+    moderate: [
+      [6 * 24, 500],
+      [5 * 24, 500],
+      [5 * 24 - 0.1, 250],
+      [24, 250],
+      [23.9, 0],
+    ],
+    strict: [
+      [30 * 24, 500],
+      [14 * 24, 500],
+      [14 * 24 - 0.1, 250],
+      [7 * 24, 250],
+      [7 * 24 - 0.1, 0],
+    ],
+    non_refundable: [
+      [365 * 24, 0],
+      [1, 0],
+    ],
+  };
+
+  for (const [policy, tiers] of Object.entries(cases)) {
+    for (const [hours, refund] of tiers) {
+      it(`refunds ${refund} under ${policy} with ${hours}h notice`, () => {
+        assert.equal(
+          calculateGuestRefund(paidBooking(), policy, before(hours)),
+          refund
+        );
+      });
+    }
+  }
+
+  it("refunds nothing once the stay has started", () => {
+    assert.equal(
+      calculateGuestRefund(paidBooking(), "flexible", before(-1)),
+      0
+    );
+  });
+
+  it("falls back to the moderate policy for an unknown policy", () => {
+    assert.equal(
+      calculateGuestRefund(paidBooking(), "unknown", before(48)),
+      250
+    );
+  });
+
+  it("only refunds what has not been refunded already", () => {
+    const booking = paidBooking({
+      paymentStatus: "partially_refunded",
+      refundedAmount: 100,
+    });
+    assert.equal(calculateGuestRefund(booking, "moderate", before(48)), 200);
+  });
+
+  it("refunds nothing for a booking that was not paid for", () => {
+    for (const paymentStatus of ["pending", "failed", "refunded"]) {
+      assert.equal(
+        calculateGuestRefund(
+          paidBooking({ paymentStatus }),
+          "flexible",
+          before(48)
+        ),
+        0
+      );
+    }
+  });
+
+  it("rounds to the cent", () => {
+    const booking = paidBooking({ totalAmount: 333.33 });
+    assert.equal(calculateGuestRefund(booking, "moderate", before(48)), 166.67);
+  });
+});
+
+describe("getRefundableBalance", () => {
+  it("never goes below zero", () => {
+    const booking = paidBooking({
+      paymentStatus: "partially_refunded",
+      refundedAmount: 600,
+    });
+    assert.equal(getRefundableBalance(booking), 0);
+  });
+});
@@ -0,0 +1,192 @@
+const { mock } = require("node:test");
+require("mingo/init/system");
+const { Aggregator } = require("mingo");
+
+// In-memory stand-in for the parts of a Mongoose model the services use, so
+// they can be tested without a database. Supports the query operators the
+// services send, and runs aggregation pipelines with mingo; `unique` lists
+// compound unique indexes to enforce.
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const comparable = (value) =>
+  value instanceof Date ? value.getTime() : value && value.toString();
+
+const same = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a != null && b != null && new Date(a).getTime() === new Date(b).getTime()
+    );
+  }
+  if (a != null && typeof a.equals === "function") return a.equals(b);
+  if (b != null && typeof b.equals === "function") return b.equals(a);
+  return a === b;
+};
+
+const OPERATORS = {
+  $in: (value, list) => list.some((item) => same(value, item)),
+  $nin: (value, list) => !list.some((item) => same(value, item)),
+  $ne: (value, other) => !same(value, other),
+  $exists: (value, exists) => (value !== undefined) === exists,
+  $size: (value, size) => Array.isArray(value) && value.length === size,
+  $gt: (value, other) => value != null && comparable(value) > comparable(other),
+  $gte: (value, other) =>
+    value != null && comparable(value) >= comparable(other),
+  $lt: (value, other) => value != null && comparable(value) < comparable(other),
+  $lte: (value, other) =>
+    value != null && comparable(value) <= comparable(other),
+};
+
+const isOperatorObject = (condition) =>
+  condition != null &&
+  typeof condition === "object" &&
+  Object.keys(condition).some((key) => key.startsWith("$"));
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+
+    const value = getPath(doc, key);
+    // null matches missing fields too
+    if (condition === null) return value == null;
+    if (!isOperatorObject(condition)) return same(value, condition);
+    return Object.entries(condition).every(([operator, operand]) =>
+      OPERATORS[operator](value, operand)
+    );
+  });
+
+const applyUpdate = (doc, update) => {
+  const { $set, $unset, $inc, ...fields } = update;
+  Object.assign(doc, fields, $set);
+  Object.keys($unset || {}).forEach((key) => delete doc[key]);
+  Object.entries($inc || {}).forEach(([key, amount]) => {
+    doc[key] = (doc[key] || 0) + amount;
+  });
+};
+
+// A query result that also accepts the chained calls the services make
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  ["select", "sort", "limit", "lean", "populate", "session"].forEach(
+    (method) => {
+      promise[method] = () => promise;
+    }
+  );
+  return promise;
+};
+
+exports.query = query;
+
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+// Let other pending operations run between writes, like a real database
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+exports.memoryModel = (Model, { unique = [] } = {}) => {
+  const docs = [];
+
+  const violatesUnique = (doc) =>
+    unique.some((fields) =>
+      docs.some((other) =>
+        fields.every((field) =>
+          same(getPath(other, field), getPath(doc, field))
+        )
+      )
+    );
+
+  const insertOne = (data) => {
+    const doc = new Model(data).toObject({ virtuals: true });
+    if (violatesUnique(doc)) throw duplicateKeyError();
+    docs.push(doc);
+    return doc;
+  };
+
+  // Inserts in order and stops at the first duplicate, like an ordered
+  // insertMany
+  mock.method(Model, "insertMany", async (items) => {
+    const inserted = [];
+    for (const item of items) {
+      await tick();
+      inserted.push(insertOne(item));
+    }
+    return inserted;
+  });
+  mock.method(Model, "create", async (data) => {
+    await tick();
+    return insertOne(data);
+  });
+  mock.method(Model, "find", (filter) =>
+    query(docs.filter((doc) => matches(doc, filter)))
+  );
+  mock.method(Model, "findOne", (filter) =>
+    query(docs.find((doc) => matches(doc, filter)) || null)
+  );
+  mock.method(Model, "findById", (id) =>
+    query(docs.find((doc) => same(doc._id, id)) || null)
+  );
+  const findOneAndUpdate = (filter, update, options = {}) => {
+    const doc = docs.find((item) => matches(item, filter));
+    if (!doc) return query(null);
+    const original = { ...doc };
+    applyUpdate(doc, update);
+    return query(options.new ? { ...doc } : original);
+  };
+  mock.method(Model, "findOneAndUpdate", findOneAndUpdate);
+  mock.method(Model, "findByIdAndUpdate", (id, update, options) =>
+    findOneAndUpdate({ _id: id }, update, options)
+  );
+  mock.method(Model, "exists", (filter) => {
+    const doc = docs.find((item) => matches(item, filter));
+    return query(doc ? { _id: doc._id } : null);
+  });
+  mock.method(Model, "countDocuments", (filter) =>
+    query(docs.filter((doc) => matches(doc, filter)).length)
+  );
+  mock.method(Model, "distinct", (field, filter) =>
+    query([
+      ...new Set(
+        docs
+          .filter((doc) => matches(doc, filter))
+          .map((doc) => getPath(doc, field))
+      ),
+    ])
+  );
+  mock.method(Model, "aggregate", async (pipeline) =>
+    new Aggregator(pipeline).run(docs)
+  );
+  mock.method(Model, "updateMany", async (filter, update) => {
+    await tick();
+    const matched = docs.filter((doc) => matches(doc, filter));
+    matched.forEach((doc) => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  mock.method(Model, "updateOne", async (filter, update, options = {}) => {
+    await tick();
+    const doc = docs.find((item) => matches(item, filter));
+    if (doc) {
+      applyUpdate(doc, update);
+    } else if (options.upsert) {
+      const { $set, $setOnInsert, ...fields } = update;
+      insertOne({ ...filter, ...fields, ...$set, ...$setOnInsert });
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Model, "deleteMany", async (filter) => {
+    await tick();
+    let deletedCount = 0;
+    for (let i = docs.length - 1; i >= 0; i -= 1) {
+      if (matches(docs[i], filter)) {
+        docs.splice(i, 1);
+        deletedCount += 1;
+      }
+    }
+    return { deletedCount };
+  });
+
+  return docs;
+};
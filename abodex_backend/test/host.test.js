@@ -0,0 +1,173 @@
+process.env.JWT_SECRET = "test_jwt_secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_host";
+process.env.S3_BUCKET_NAME = "test-bucket";
+process.env.AWS_REGION = "us-east-1";
+process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = "1";
+
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Host = require("../models/Host");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const sessionService = require("../services/sessionService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+// The auth middleware picks this up when it is required, so it is mocked
+// first
+mock.method(sessionService, "isSessionActive", async () => true);
+const hostRoutes = require("../routes/host");
+
+describe("PUT /api/host/properties/:id", () => {
+  let server;
+  let baseUrl;
+  let token;
+  let properties;
+  let property;
+  const calendarId = new mongoose.Types.ObjectId();
+
+  const update = (body) =>
+    fetch(`${baseUrl}/api/host/properties/${property._id}`, {
+      method: "PUT",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/host", hostRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Host);
+    properties = memoryModel(Property);
+
+    const user = await User.create({
+      firstName: "Ana",
+      lastName: "Host",
+      email: "host@example.com",
+      role: "host",
+    });
+    const host = await Host.create({ user: user._id, isVerified: true });
+    property = await Property.create({
+      host: host._id,
+      title: "Cottage",
+      description: "By the sea",
+      type: "cottage",
+      pricePerNight: 100,
+      maxGuests: 2,
+      bedrooms: 1,
+      bathrooms: 1,
+      ratings: { average: 3.2, count: 10 },
+      availability: [
+        {
+          startDate: new Date("2030-06-01"),
+          endDate: new Date("2030-06-05"),
+          isAvailable: false,
+          source: "ical",
+          externalCalendar: calendarId,
+          externalUid: "airbnb-1",
+        },
+        {
+          startDate: new Date("2030-07-01"),
+          endDate: new Date("2030-07-03"),
+          isAvailable: false,
+          source: "manual",
+        },
+      ],
+    });
+    token = jwt.sign(
+      { id: user._id, sid: new mongoose.Types.ObjectId() },
+      process.env.JWT_SECRET
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.method(sessionService, "isSessionActive", async () => true);
+  });
+
+  it("replaces manual ranges and keeps imported calendar blocks", async () => {
+    const res = await update({
+      availability: JSON.stringify([
+        {
+          startDate: "2030-08-01",
+          endDate: "2030-08-04",
+          isAvailable: false,
+        },
+      ]),
+    });
+
+    assert.equal(res.status, 200);
+    const ranges = properties[0].availability;
+    assert.equal(ranges.length, 2);
+    assert.equal(ranges[0].source, "ical");
+    assert.ok(ranges[0].externalCalendar.equals(calendarId));
+    assert.equal(ranges[1].source, "manual");
+    assert.equal(ranges[1].startDate, "2030-08-01");
+  });
+
+  it("does not let hosts mark their blocks as imported", async () => {
+    const res = await update({
+      availability: JSON.stringify([
+        {
+          startDate: "2030-08-01",
+          endDate: "2030-08-04",
+          isAvailable: false,
+          source: "ical",
+          externalCalendar: calendarId,
+          externalUid: "airbnb-2",
+        },
+      ]),
+    });
+
+    assert.equal(res.status, 200);
+    const added = properties[0].availability[1];
+    assert.equal(added.source, "manual");
+    assert.equal(added.externalCalendar, undefined);
+    assert.equal(added.externalUid, undefined);
+  });
+
+  it("rejects availability that is not a JSON array", async () => {
+    const res = await update({ availability: "{not json" });
+
+    assert.equal(res.status, 400);
+    assert.equal(properties[0].availability.length, 2);
+  });
+
+  it("ignores fields hosts may not set", async () => {
+    const res = await update({
+      title: "Seaside cottage",
+      ratings: { average: 5, count: 1000 },
+      hostVerified: false,
+      listedAt: "2020-01-01",
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(properties[0].title, "Seaside cottage");
+    assert.equal(properties[0].ratings.average, 3.2);
+    assert.equal(properties[0].ratings.count, 10);
+    assert.equal(properties[0].hostVerified, false);
+    assert.deepEqual(properties[0].listedAt, property.listedAt);
+  });
+});
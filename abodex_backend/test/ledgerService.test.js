@@ -0,0 +1,163 @@
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const Host = require("../models/Host");
+const Settings = require("../models/Settings");
+const {
+  recordBookingEarnings,
+  recordRefund,
+} = require("../services/ledgerService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+const COMMISSION_RATE = 0.15;
+
+const hostId = new mongoose.Types.ObjectId();
+
+const newBooking = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  property: { _id: new mongoose.Types.ObjectId(), host: hostId },
+  totalAmount: 300,
+  ...fields,
+});
+
+// Sum of amounts, to within floating point error of the cent amounts
+const total = (entries) =>
+  Math.round(entries.reduce((sum, entry) => sum + entry.amount, 0) * 1e6) /
+    1e6 || 0;
+
+const byTransaction = (entries) =>
+  Object.values(
+    entries.reduce((groups, entry) => {
+      (groups[entry.transaction] = groups[entry.transaction] || []).push(entry);
+      return groups;
+    }, {})
+  );
+
+const accountTotal = (entries, account) =>
+  total(entries.filter((entry) => entry.account === account));
+
+describe("ledger transactions", () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = memoryModel(LedgerEntry, {
+      unique: [["transaction", "account"]],
+    });
+    mock.method(Settings, "getSettings", async () => ({
+      commissionRate: COMMISSION_RATE,
+    }));
+    mock.method(LedgerEntry, "aggregate", async () => []);
+    mock.method(Host, "updateOne", async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    // Every transaction balances
+    for (const legs of byTransaction(entries)) {
+      assert.equal(total(legs), 0, `${legs[0].transaction} does not balance`);
+    }
+    mock.restoreAll();
+  });
+
+  it("splits a completed booking into commission and the host's net", async () => {
+    assert.equal(await recordBookingEarnings(newBooking()), true);
+
+    assert.equal(accountTotal(entries, "guest_payments"), -300);
+    assert.equal(accountTotal(entries, "platform_commission"), 45);
+    assert.equal(accountTotal(entries, "host_payable"), 255);
+  });
+
+  it("charges the platform for promo codes", async () => {
+    await recordBookingEarnings(
+      newBooking({ totalAmount: 270, promoDiscount: 30 })
+    );
+
+    assert.equal(accountTotal(entries, "guest_payments"), -270);
+    assert.equal(accountTotal(entries, "platform_promotions"), -30);
+    assert.equal(accountTotal(entries, "platform_commission"), 45);
+    assert.equal(accountTotal(entries, "host_payable"), 255);
+  });
+
+  it("records bookings in other currencies in the base currency", async () => {
+    await recordBookingEarnings(
+      newBooking({
+        currency: "EUR",
+        totalAmount: 187.37,
+        promoDiscount: 19.99,
+        baseExchangeRate: 1.0867,
+      })
+    );
+
+    assert.equal(accountTotal(entries, "guest_payments"), -203.61);
+    assert.equal(accountTotal(entries, "platform_promotions"), -21.72);
+    for (const entry of entries) {
+      assert.equal(Math.round(entry.amount * 100) / 100, entry.amount);
+    }
+  });
+
+  it("records a booking only once", async () => {
+    const booking = newBooking();
+    await recordBookingEarnings(booking);
+
+    assert.equal(await recordBookingEarnings(booking), false);
+    assert.equal(entries.length, 3);
+  });
+
+  it("reverses partial refunds after completion", async () => {
+    const booking = newBooking({
+      currency: "EUR",
+      totalAmount: 270,
+      promoDiscount: 30,
+      baseExchangeRate: 1.0867,
+    });
+    await recordBookingEarnings(booking);
+
+    booking.refundedAmount = 100;
+    assert.equal(await recordRefund(booking), true);
+    booking.refundedAmount = 133.33;
+    assert.equal(await recordRefund(booking), true);
+    assert.equal(await recordRefund(booking), false);
+
+    assert.equal(byTransaction(entries).length, 3);
+    // 270 EUR paid (293.41 base) less 133.33 EUR refunded (144.89 base)
+    assert.equal(accountTotal(entries, "guest_payments"), -148.52);
+  });
+
+  it("reverses the whole booking on a full refund", async () => {
+    const booking = newBooking({
+      currency: "EUR",
+      totalAmount: 187.37,
+      promoDiscount: 19.99,
+      baseExchangeRate: 1.0867,
+    });
+    await recordBookingEarnings(booking);
+
+    booking.refundedAmount = 50;
+    await recordRefund(booking);
+    booking.refundedAmount = booking.totalAmount;
+    await recordRefund(booking);
+
+    // Within a cent, as each refund rounds its promo share and commission
+    for (const account of [
+      "guest_payments",
+      "platform_promotions",
+      "platform_commission",
+      "host_payable",
+    ]) {
+      assert.ok(
+        Math.abs(accountTotal(entries, account)) <= 0.01,
+        `${account} is ${accountTotal(entries, account)}`
+      );
+    }
+    assert.equal(accountTotal(entries, "guest_payments"), 0);
+  });
+
+  it("settles a refund made before completion with the earnings", async () => {
+    const booking = newBooking({ refundedAmount: 100 });
+    await recordBookingEarnings(booking);
+
+    assert.equal(byTransaction(entries).length, 2);
+    assert.equal(accountTotal(entries, "guest_payments"), -200);
+    assert.equal(accountTotal(entries, "host_payable"), 170);
+  });
+});
@@ -0,0 +1,91 @@
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const StaffRole = require("../models/StaffRole");
+const User = require("../models/User");
+const { PERMISSIONS, SYSTEM_ROLES } = require("../config/permissions");
+const {
+  backfillStaffRoles,
+  ensureSystemRoles,
+  getPermissions,
+} = require("../services/permissionService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+const systemRole = (name) => SYSTEM_ROLES.find((role) => role.name === name);
+
+describe("staff permissions", () => {
+  let users;
+  let roles;
+
+  const roleId = (name) => roles.find((role) => role.name === name)._id;
+
+  const addUser = (fields) =>
+    User.create({
+      firstName: "Sam",
+      lastName: "Staff",
+      email: `${fields.role}-${users.length}@example.com`,
+      ...fields,
+    });
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    roles = memoryModel(StaffRole);
+    await ensureSystemRoles();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("grants an admin the permissions of their roles", async () => {
+    const admin = await addUser({
+      role: "admin",
+      staffRoles: [roleId("support_agent")],
+    });
+
+    assert.deepEqual(
+      [...(await getPermissions(admin))].sort(),
+      [...systemRole("support_agent").permissions].sort()
+    );
+  });
+
+  it("grants every permission through the super admin role", async () => {
+    const admin = await addUser({
+      role: "admin",
+      staffRoles: [roleId("super_admin")],
+    });
+
+    assert.deepEqual(await getPermissions(admin), new Set(PERMISSIONS));
+  });
+
+  it("grants nothing to an admin without roles", async () => {
+    const admin = await addUser({ role: "admin", staffRoles: [] });
+
+    assert.equal((await getPermissions(admin)).size, 0);
+  });
+
+  it("grants nothing to accounts that are not staff", async () => {
+    const host = await addUser({
+      role: "host",
+      staffRoles: [roleId("super_admin")],
+    });
+
+    assert.equal((await getPermissions(host)).size, 0);
+  });
+
+  it("makes admins from before staff roles super admins", async () => {
+    const legacy = await addUser({ role: "admin" });
+    const finance = await addUser({
+      role: "admin",
+      staffRoles: [roleId("finance")],
+    });
+    const guest = await addUser({ role: "guest" });
+
+    assert.equal(await backfillStaffRoles(), 1);
+
+    const find = (user) => users.find((doc) => doc._id.equals(user._id));
+    assert.deepEqual(await getPermissions(find(legacy)), new Set(PERMISSIONS));
+    assert.deepEqual(find(finance).staffRoles, [roleId("finance")]);
+    assert.deepEqual(find(guest).staffRoles, []);
+    assert.equal(await backfillStaffRoles(), 0);
+  });
+});
@@ -0,0 +1,105 @@
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const PromoCode = require("../models/PromoCode");
+const PromoRedemption = require("../models/PromoRedemption");
+const {
+  getExchangeRate,
+  getMinimumCharge,
+} = require("../services/currencyService");
+const { checkPromoCode } = require("../services/promoService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+const rates = { USD: 1, GBP: 0.8, JPY: 150, ISK: 140 };
+
+describe("checkPromoCode", () => {
+  beforeEach(() => {
+    memoryModel(Booking);
+    memoryModel(PromoCode);
+    memoryModel(PromoRedemption);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const addPromoCode = (fields) =>
+    PromoCode.create({
+      code: "WELCOME",
+      discountType: "fixed",
+      value: 1000,
+      ...fields,
+    });
+
+  // Apply a code the way booking creation does, for a stay at a listing in
+  // `currency` paid for in `chargeCurrency`
+  const applyCode = (promoCode, { currency, chargeCurrency, total }) =>
+    checkPromoCode(promoCode, {
+      userId: new mongoose.Types.ObjectId(),
+      property: { currency, type: "apartment", address: { city: "Lisbon" } },
+      total,
+      baseExchangeRate: getExchangeRate(rates, currency, "USD"),
+      minimumCharge: getMinimumCharge(rates, chargeCurrency, currency),
+    });
+
+  it("leaves Stripe's minimum charge on the total", async () => {
+    const promoCode = await addPromoCode();
+
+    const { discount } = await applyCode(promoCode, {
+      currency: "USD",
+      chargeCurrency: "USD",
+      total: 120,
+    });
+
+    assert.equal(discount, 119.5);
+  });
+
+  it("uses the minimum for the currency the guest is charged in", async () => {
+    const promoCode = await addPromoCode();
+
+    const { discount } = await applyCode(promoCode, {
+      currency: "USD",
+      chargeCurrency: "GBP",
+      total: 120,
+    });
+
+    // £0.30 is $0.375, rounded up to a whole cent
+    assert.equal(discount, 119.62);
+  });
+
+  it("keeps discounts in zero-decimal currencies whole", async () => {
+    const fixed = await addPromoCode();
+    const percentage = await addPromoCode({
+      code: "SPRING",
+      discountType: "percentage",
+      value: 15,
+    });
+
+    const capped = await applyCode(fixed, {
+      currency: "JPY",
+      chargeCurrency: "JPY",
+      total: 12000,
+    });
+    const partial = await applyCode(percentage, {
+      currency: "JPY",
+      chargeCurrency: "JPY",
+      total: 12345,
+    });
+
+    assert.equal(capped.discount, 11950);
+    assert.equal(partial.discount, 1852);
+  });
+
+  it("converts the base currency's minimum for unlisted currencies", async () => {
+    const promoCode = await addPromoCode();
+
+    const { discount } = await applyCode(promoCode, {
+      currency: "ISK",
+      chargeCurrency: "ISK",
+      total: 10000,
+    });
+
+    assert.equal(discount, 9930);
+  });
+});
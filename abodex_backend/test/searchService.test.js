@@ -0,0 +1,126 @@
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Property = require("../models/Property");
+const ReservedNight = require("../models/ReservedNight");
+const Settings = require("../models/Settings");
+const {
+  buildSearch,
+  matchingFilter,
+  searchFacets,
+} = require("../services/searchService");
+const { memoryModel } = require("./helpers/memoryModel");
+
+const listing = (fields) => ({
+  host: new mongoose.Types.ObjectId(),
+  description: "A place to stay",
+  address: { city: "Lisbon" },
+  currency: "USD",
+  maxGuests: 4,
+  bathrooms: 1,
+  isActive: true,
+  hostVerified: true,
+  ...fields,
+});
+
+// Count results per value of `field`, in the shape facets are returned in
+const countBy = (properties, field) =>
+  Object.entries(
+    properties.reduce((counts, property) => {
+      counts[property[field]] = (counts[property[field]] || 0) + 1;
+      return counts;
+    }, {})
+  )
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => a.value.localeCompare(b.value));
+
+const facetCounts = (buckets) =>
+  buckets
+    .map(({ value, count }) => ({ value: String(value), count }))
+    .sort((a, b) => a.value.localeCompare(b.value));
+
+describe("search facets", () => {
+  beforeEach(async () => {
+    memoryModel(Property);
+    memoryModel(ReservedNight);
+    mock.method(Settings, "getSettings", async () => ({
+      exchangeRates: new Map(),
+    }));
+
+    // A Friday and Saturday night stay, 7-9 June 2030
+    await Property.create(
+      listing({
+        title: "Base price in range, weekend price above",
+        type: "house",
+        bedrooms: 2,
+        pricePerNight: 100,
+        rateRules: { weekendPrice: 300 },
+      })
+    );
+    await Property.create(
+      listing({
+        title: "Plain price in range",
+        type: "house",
+        bedrooms: 1,
+        pricePerNight: 120,
+      })
+    );
+    await Property.create(
+      listing({
+        title: "Base price above, season price in range",
+        type: "apartment",
+        bedrooms: 1,
+        pricePerNight: 200,
+        rateRules: {
+          seasons: [
+            {
+              startDate: new Date("2030-06-01"),
+              endDate: new Date("2030-06-30"),
+              pricePerNight: 140,
+              weekendPrice: 140,
+            },
+          ],
+        },
+      })
+    );
+    await Property.create(
+      listing({
+        title: "Base price below, override above",
+        type: "apartment",
+        bedrooms: 3,
+        pricePerNight: 90,
+        rateRules: {
+          overrides: [{ date: new Date("2030-06-07"), pricePerNight: 250 }],
+        },
+      })
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("counts facets against the stay's rates for a dated price search", async () => {
+    const search = await buildSearch({
+      checkIn: "2030-06-07",
+      checkOut: "2030-06-09",
+      minPrice: "100",
+      maxPrice: "150",
+    });
+
+    const results = await Property.aggregate([
+      { $match: matchingFilter(search) },
+    ]);
+    const facets = await searchFacets(search);
+
+    assert.deepEqual(results.map((property) => property.title).sort(), [
+      "Base price above, season price in range",
+      "Plain price in range",
+    ]);
+    assert.deepEqual(facetCounts(facets.type), countBy(results, "type"));
+    assert.deepEqual(
+      facetCounts(facets.bedrooms),
+      countBy(results, "bedrooms")
+    );
+  });
+});
@@ -0,0 +1,268 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_webhooks";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_webhooks";
+
+const { after, before, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const Booking = require("../models/Booking");
+const WebhookEvent = require("../models/WebhookEvent");
+const bookingService = require("../services/bookingService");
+const { memoryModel, query } = require("./helpers/memoryModel");
+
+// The router picks these up when it is required, so they are mocked first
+const confirmBookingPayment = mock.method(
+  bookingService,
+  "confirmBookingPayment",
+  async (booking) => ({ booking, reserved: true })
+);
+const applyRefund = mock.method(
+  bookingService,
+  "applyRefund",
+  async (booking) => booking
+);
+const webhookRoutes = require("../routes/webhooks");
+
+const processedEvents = memoryModel(WebhookEvent, { unique: [["eventId"]] });
+
+let eventCount = 0;
+const stripeEvent = (type, object) => ({
+  id: `evt_test_${++eventCount}`,
+  object: "event",
+  type,
+  data: { object },
+});
+
+const newBooking = (fields = {}) => {
+  const booking = new Booking({
+    guest: new mongoose.Types.ObjectId(),
+    property: new mongoose.Types.ObjectId(),
+    checkIn: new Date("2030-06-01"),
+    checkOut: new Date("2030-06-04"),
+    guestsCount: 2,
+    totalAmount: 300,
+    status: "confirmed",
+    paymentStatus: "paid",
+    paymentIntentId: "pi_test",
+    ...fields,
+  });
+  mock.method(booking, "save", async () => booking);
+  return booking;
+};
+
+describe("POST /api/webhooks/stripe", () => {
+  let server;
+  let url;
+
+  const send = (event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) => {
+    const payload = JSON.stringify(event);
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Stripe-Signature": stripe.webhooks.generateTestHeaderString({
+          payload,
+          secret,
+        }),
+      },
+      body: payload,
+    });
+  };
+
+  // Booking.findOne finds `booking` for the rest of the test
+  const findsBooking = (t, booking) =>
+    t.mock.method(Booking, "findOne", () => query(booking));
+
+  before(async () => {
+    const app = express();
+    app.use("/api/webhooks", webhookRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/webhooks/stripe`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    processedEvents.length = 0;
+    confirmBookingPayment.mock.resetCalls();
+    applyRefund.mock.resetCalls();
+  });
+
+  it("rejects events with a bad signature", async (t) => {
+    findsBooking(t, newBooking({ status: "pending" }));
+    t.mock.method(console, "error", () => {});
+
+    const res = await send(
+      stripeEvent("payment_intent.succeeded", { id: "pi_test" }),
+      { secret: "whsec_wrong" }
+    );
+
+    assert.equal(res.status, 400);
+    assert.equal(confirmBookingPayment.mock.callCount(), 0);
+    assert.equal(processedEvents.length, 0);
+  });
+
+  it("confirms the booking on payment_intent.succeeded", async (t) => {
+    const booking = newBooking({ status: "pending", paymentStatus: "pending" });
+    findsBooking(t, booking);
+    const paymentIntent = { id: "pi_test", object: "payment_intent" };
+
+    const res = await send(
+      stripeEvent("payment_intent.succeeded", paymentIntent)
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(confirmBookingPayment.mock.callCount(), 1);
+    const [confirmed, intent] = confirmBookingPayment.mock.calls[0].arguments;
+    assert.equal(confirmed, booking);
+    assert.deepEqual(intent, paymentIntent);
+  });
+
+  it("skips an event that is delivered again", async (t) => {
+    findsBooking(
+      t,
+      newBooking({ status: "pending", paymentStatus: "pending" })
+    );
+    const event = stripeEvent("payment_intent.succeeded", { id: "pi_test" });
+
+    const first = await send(event);
+    const second = await send(event);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(confirmBookingPayment.mock.callCount(), 1);
+    assert.equal(processedEvents.length, 1);
+    assert.equal(processedEvents[0].eventId, event.id);
+  });
+
+  it("does not record an event whose handler failed, so Stripe retries it", async (t) => {
+    findsBooking(
+      t,
+      newBooking({ status: "pending", paymentStatus: "pending" })
+    );
+    const event = stripeEvent("payment_intent.succeeded", { id: "pi_test" });
+    t.mock.method(console, "error", () => {});
+    confirmBookingPayment.mock.mockImplementationOnce(async () => {
+      throw new Error("Database unavailable");
+    });
+
+    assert.equal((await send(event)).status, 500);
+    assert.equal(processedEvents.length, 0);
+
+    assert.equal((await send(event)).status, 200);
+    assert.equal(confirmBookingPayment.mock.callCount(), 2);
+    assert.equal(processedEvents.length, 1);
+  });
+
+  it("marks a pending booking's payment failed on payment_intent.payment_failed", async (t) => {
+    const updateOne = t.mock.method(Booking, "updateOne", async () => ({
+      modifiedCount: 1,
+    }));
+
+    const res = await send(
+      stripeEvent("payment_intent.payment_failed", { id: "pi_failed" })
+    );
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(updateOne.mock.calls[0].arguments, [
+      { paymentIntentId: "pi_failed", status: "pending" },
+      { paymentStatus: "failed" },
+    ]);
+  });
+
+  it("applies a full refund on charge.refunded", async (t) => {
+    const booking = newBooking();
+    findsBooking(t, booking);
+
+    const res = await send(
+      stripeEvent("charge.refunded", {
+        payment_intent: "pi_test",
+        refunded: true,
+        amount_refunded: 30000,
+        currency: "usd",
+      })
+    );
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(applyRefund.mock.calls[0].arguments, [booking, 300]);
+  });
+
+  it("converts a partial refund back to the listing currency", async (t) => {
+    const booking = newBooking({
+      currency: "USD",
+      chargeCurrency: "EUR",
+      exchangeRate: 0.9,
+      chargeAmount: 270,
+    });
+    findsBooking(t, booking);
+
+    await send(
+      stripeEvent("charge.refunded", {
+        payment_intent: "pi_test",
+        refunded: false,
+        amount_refunded: 9000,
+        currency: "eur",
+      })
+    );
+
+    assert.deepEqual(applyRefund.mock.calls[0].arguments, [booking, 100]);
+  });
+
+  it("marks the payment disputed on charge.dispute.created", async (t) => {
+    const booking = newBooking();
+    findsBooking(t, booking);
+
+    await send(
+      stripeEvent("charge.dispute.created", {
+        id: "dp_test",
+        payment_intent: "pi_test",
+        status: "needs_response",
+        reason: "fraudulent",
+      })
+    );
+
+    assert.equal(booking.paymentStatus, "disputed");
+    assert.equal(booking.dispute.id, "dp_test");
+    assert.equal(booking.save.mock.callCount(), 1);
+    assert.equal(applyRefund.mock.callCount(), 0);
+  });
+
+  it("restores the payment status when a dispute is won", async (t) => {
+    const booking = newBooking({
+      paymentStatus: "disputed",
+      refundedAmount: 50,
+    });
+    findsBooking(t, booking);
+
+    await send(
+      stripeEvent("charge.dispute.closed", {
+        id: "dp_test",
+        payment_intent: "pi_test",
+        status: "won",
+      })
+    );
+
+    assert.equal(booking.paymentStatus, "partially_refunded");
+    assert.equal(booking.dispute.status, "won");
+    assert.equal(applyRefund.mock.callCount(), 0);
+  });
+
+  it("refunds the whole booking when a dispute is lost", async (t) => {
+    const booking = newBooking({ paymentStatus: "disputed" });
+    findsBooking(t, booking);
+
+    await send(
+      stripeEvent("charge.dispute.closed", {
+        id: "dp_test",
+        payment_intent: "pi_test",
+        status: "lost",
+      })
+    );
+
+    assert.deepEqual(applyRefund.mock.calls[0].arguments, [booking, 300]);
+    assert.equal(booking.dispute.status, "lost");
+    assert.equal(booking.cancellationReason, "Payment dispute lost");
+  });
+});